@@ -1,8 +1,6 @@
-
 require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
-const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 const cors = require('cors'); // Added CORS
 const app = express();
@@ -11,39 +9,51 @@ const path = require('path');
 const multer = require('multer');
 const FormData = require('form-data');
 const morgan = require('morgan')
-const bodyParser = require('body-parser');
 
 app.use(cors()); // Allow all origins for development
-app.use(express.json());
-app.use(cookieParser());
 app.use(morgan('tiny'));
-app.use(bodyParser.json());
+
+// Webhooks need the raw body for HMAC verification, so they go before the JSON parser.
+// The old app-uninstalled URL stays as an alias for subscriptions created by hand.
+const webhooksRouter = require('./routers/webhooks');
+app.use('/shopify/webhooks', webhooksRouter);
+app.use('/shopify/pay/webhooks/app-uninstalled', webhooksRouter);
+
+// Bulk imports and the CSV routes carry whole catalogs, well past express.json's 100kb
+// default. They get their own limit here since the global parser below would reject them first.
+app.use(['/shopify/products/import', '/shopify/products/csv'], express.json({ limit: '10mb' }));
+app.use(express.json());
+app.use(cookieParser(process.env.SHOPIFY_API_SECRET)); // Secret enables signed cookies for the OAuth state
 
 const {
   SHOPIFY_API_KEY,
-  SHOPIFY_API_SECRET,
-  SHOPIFY_SCOPES,
-  SHOPIFY_HOST
+  SHOPIFY_API_SECRET
 } = process.env;
 
-const accessTokens = require('./lib/tokenStore');
-
-app.use('/shopify/products', require('./routers/products'))
-app.use('/shopify/orders', require('./routers/order'));
-app.use('/fedex/', require('./routers/fedex-track'));
-app.use('/shopify/pay', require('./routers/billing'));
-
-function buildAuthURL(shop) {
-  const redirectUri = `${SHOPIFY_HOST}/shopify/callback`;
-  return `https://${shop}/admin/oauth/authorize?client_id=${SHOPIFY_API_KEY}&scope=${SHOPIFY_SCOPES}&redirect_uri=${redirectUri}`;
-}
-
-function verifyHMAC(query) {
-  const { hmac, ...rest } = query;
-  const ordered = Object.keys(rest).sort().map(k => `${k}=${rest[k]}`).join('&');
-  const generated = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(ordered).digest('hex');
-  return generated === hmac;
-}
+const tokenStore = require('./lib/tokenStore');
+const { isValidShop, generateNonce } = require('./lib/security');
+const {
+  OAUTH_STATE_COOKIE,
+  OAUTH_STATE_MAX_AGE_MS,
+  buildAuthURL,
+  verifyOAuthHMAC,
+  verifyOAuthState
+} = require('./lib/oauth');
+const { requireSessionToken } = require('./lib/sessionToken');
+const { graphql, ShopifyAuthError } = require('./lib/shopifyClient');
+const { registerWebhooks } = require('./lib/webhookSubscriptions');
+const { ensureMetafieldDefinitions } = require('./lib/metafields');
+const { requireGrantedScopes, getMissingScopes, getReauthUrl } = require('./lib/scopes');
+
+// Merchant-facing routes derive the shop from the App Bridge session token
+// and are refused until the shop has granted every configured scope
+const authenticated = [requireSessionToken, requireGrantedScopes];
+
+app.use('/shopify/products', authenticated, require('./routers/products'))
+app.use('/shopify/orders', authenticated, require('./routers/order'));
+app.use('/fedex/', authenticated, require('./routers/fedex-track'));
+app.use('/shopify/pay', authenticated, require('./routers/billing'));
+app.use('/shopify/webhook-subscriptions', authenticated, require('./routers/webhook-subscriptions'));
 
 app.get('/', (req, res) => {
   res.send('Spade-Shopify Backend Working')
@@ -52,18 +62,43 @@ app.get('/', (req, res) => {
 // Step 1: Install route
 app.get('/shopify/install', (req, res) => {
   const { shop } = req.query;
-  const url = buildAuthURL(shop);
+
+  if (!isValidShop(shop)) {
+    return res.status(400).send('Invalid shop domain');
+  }
+
+  // Signed, short-lived nonce that the callback must echo back as `state`
+  const state = generateNonce();
+  res.cookie(OAUTH_STATE_COOKIE, state, {
+    signed: true,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'lax',
+    maxAge: OAUTH_STATE_MAX_AGE_MS
+  });
+
+  const url = buildAuthURL(shop, state);
   res.redirect(url);
 });
 
 // Step 2: Callback and token exchange
 app.get('/shopify/callback', async (req, res) => {
-  const { shop, code, hmac, host } = req.query;
+  const { shop, code, host, state } = req.query;
+
+  if (!isValidShop(shop)) {
+    return res.status(400).send('Invalid shop domain');
+  }
 
-  if (!verifyHMAC(req.query)) {
+  if (!verifyOAuthHMAC(req.query)) {
     return res.status(400).send('HMAC verification failed');
   }
 
+  const expectedState = req.signedCookies[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE);
+  if (!verifyOAuthState(expectedState, state)) {
+    return res.status(403).send('OAuth state verification failed');
+  }
+
   try {
     const response = await axios.post(`https://${shop}/admin/oauth/access_token`, {
       client_id: SHOPIFY_API_KEY,
@@ -71,8 +106,28 @@ app.get('/shopify/callback', async (req, res) => {
       code,
     });
 
-    const { access_token } = response.data;
-    accessTokens[shop] = access_token;
+    const { access_token, scope } = response.data;
+    tokenStore.saveToken(shop, access_token, scope);
+
+    // Subscribe to our webhook topics; a failure here shouldn't block the install
+    try {
+      const { results } = await registerWebhooks(shop);
+      results.filter(r => r.action === 'failed').forEach(r => {
+        console.error(`Webhook registration failed for ${shop} ${r.topic}:`, r.error);
+      });
+    } catch (webhookError) {
+      console.error(`Webhook registration failed for ${shop}:`, webhookError.message);
+    }
+
+    // Definitions for the spade.* product metafields, so they show up (and filter) in the admin
+    try {
+      const definitions = await ensureMetafieldDefinitions(shop);
+      definitions.filter(d => d.action === 'failed').forEach(d => {
+        console.error(`Metafield definition failed for ${shop} spade.${d.key}:`, d.error);
+      });
+    } catch (definitionError) {
+      console.error(`Metafield definitions failed for ${shop}:`, definitionError.message);
+    }
     
     // Redirect back to the app within Shopify Admin
     const redirectUrl = `https://${shop}/admin/apps/${SHOPIFY_API_KEY}`;
@@ -89,74 +144,37 @@ app.get('/shopify/callback', async (req, res) => {
     res.status(500).send('Authentication failed');
   }
 })
-app.get('/shopify/authenticated', async (req, res) => {
-  const { shop } = req.query;
-  
-  if (!shop) {
-    return res.status(400).json({ error: 'Shop parameter is required' });
-  }
+
+// Whether the shop behind the session token is installed and has granted every scope.
+// Not behind requireGrantedScopes: reporting missing scopes is this route's job.
+app.get('/shopify/authenticated', requireSessionToken, async (req, res) => {
+  const shop = req.shop;
 
   // Check if we have an access token for this shop
-  const accessToken = accessTokens[shop];
+  const accessToken = tokenStore.getToken(shop);
   if (!accessToken) {
     return res.json({ authenticated: false });
   }
   
   try {
-    // Verify the token is still valid by making a simple API call
-    await axios.get(`https://${shop}/admin/api/2023-10/shop.json`, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken
-      }
-    });
-    
-    // If the request doesn't throw an error, the token is valid
-    return res.json({ authenticated: true });
+    // Verify the token is still valid and refresh the scopes it actually carries
+    const data = await graphql(shop, '{ currentAppInstallation { accessScopes { handle } } }', {}, { accessToken });
+    tokenStore.updateScopes(shop, data.currentAppInstallation.accessScopes.map(s => s.handle));
+
+    // The token is valid, but it may predate scopes added to SHOPIFY_SCOPES since install
+    const missingScopes = getMissingScopes(shop);
+    if (missingScopes.length > 0) {
+      return res.json({ authenticated: true, needsReauth: true, missingScopes, reauthUrl: getReauthUrl(shop) });
+    }
+
+    return res.json({ authenticated: true, needsReauth: false, missingScopes: [] });
   } catch (error) {
     console.error('Token validation error:', error.message);
-    // If the token is invalid, remove it
-    delete accessTokens[shop];
-    return res.json({ authenticated: false });
-  }
-});
-
-// Step 3: Create product route
-app.post('/shopify/test/product', async (req, res) => {
-  const { shop, title, price } = req.body;
-  const accessToken = accessTokens[shop];
-
-  if (!accessToken) return res.status(401).json({ error: 'Unauthorized: no token' });
-
-  const mutation = `
-    mutation {
-      productCreate(input: {
-        title: "${title}",
-        variants: [{ price: "${price}" }]
-      }) {
-        product {
-          id
-          title
-        }
-        userErrors {
-          field
-          message
-        }
-      }
+    // Only drop the stored token when Shopify rejects it, not on network errors
+    if (error instanceof ShopifyAuthError && error.status === 401) {
+      tokenStore.removeShop(shop);
     }
-  `;
-
-  try {
-    const response = await axios.post(`https://${shop}/admin/api/2023-10/graphql.json`, { query: mutation }, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json',
-      }
-    });
-
-    res.json(response.data);
-  } catch (err) {
-    console.error(err.response?.data || err.message);
-    res.status(500).json({ error: 'Failed to create product' });
+    return res.json({ authenticated: false });
   }
 });
 
@@ -1,12 +1,12 @@
 
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
-const accessTokens = require('../lib/tokenStore');
+const tokenStore = require('../lib/tokenStore');
+const { graphql, sendShopifyError } = require('../lib/shopifyClient');
 
 router.post('/create', async (req, res) => {
   const shop = req.body.shop;
-  const accessToken = accessTokens[shop];
+  const accessToken = tokenStore.getToken(shop);
 
   const query = `
 mutation {
@@ -61,30 +61,12 @@ mutation {
 `;
 
   try {
-    const response = await axios.post(
-      `https://${shop}/admin/api/2024-04/graphql.json`,
-      { query },
-      {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const data = await graphql(shop, query, {}, { accessToken });
     // Return the API response as JSON
-    return res.status(200).json(response.data);
+    return res.status(200).json({ data });
   } catch (error) {
     // Return error details as JSON
-    if (error.response) {
-      return res.status(error.response.status || 500).json({
-        error: error.response.data,
-        message: error.response.data.errors || error.response.data.message || 'Shopify API error'
-      });
-    } else {
-      return res.status(500).json({
-        error: error.message || 'Unknown error'
-      });
-    }
+    return sendShopifyError(res, error, 'Unknown error');
   }
 });
 
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createFileStore } = require('./fileStore');
+const { graphql, mutate } = require('./shopifyClient');
+const { createStagedUpload, uploadToStagedTarget, getStagedUploadPath } = require('./stagedUploads');
+const {
+  normalizeProductInput,
+  buildOptionsAndVariants,
+  buildProductSetInput,
+  collectionGroups
+} = require('./productBuilder');
+const productMap = require('./productMap');
+const { getLocationId } = require('./inventory');
+const { ensureCollections } = require('./collections');
+const { registerProductTranslations } = require('./translations');
+
+// jobId -> { shop, status, bulkOperationId, products, results, ... }
+const jobs = createFileStore('import-jobs');
+
+// Finished bulk operation statuses
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+// Registering translations takes a few calls per product, so progress is saved every this many
+const TRANSLATION_SAVE_EVERY = 25;
+
+// Jobs whose translations are being registered right now
+const translationRuns = new Set();
+
+// The mutation run once per JSONL line, with that line as its variables
+const BULK_PRODUCT_MUTATION = `
+  mutation BulkProductSet($input: ProductSetInput!) {
+    productSet(input: $input) {
+      product {
+        id
+        title
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+// Turn each Spade product into a productSet line. Products that can't be built are
+// failed up front and left out of the file. Starting stock goes inline at locationId.
+// Products already mapped to a Shopify product (or repeated in the batch) are skipped,
+// like /upsert would, so re-importing a catalog doesn't create a second copy; /upsert
+// updates them.
+function buildImportLines(shop, products, locationId, pricing, format) {
+  const lines = [];
+  const groups = {};
+  const seen = new Set();
+  const entries = products.map((rawProduct, index) => {
+    try {
+      const normalizedProduct = normalizeProductInput(rawProduct, format);
+      const spadeId = normalizedProduct.id;
+      const mapping = productMap.getMapping(shop, spadeId);
+      if (mapping || (spadeId !== undefined && spadeId !== null && seen.has(String(spadeId)))) {
+        return {
+          index,
+          spadeId,
+          title: normalizedProduct.title,
+          status: 'skipped',
+          productId: mapping ? mapping.productId : undefined,
+          reason: mapping ? 'Already imported; use /upsert to update it' : 'Same id as an earlier product in this import'
+        };
+      }
+      if (spadeId !== undefined && spadeId !== null) seen.add(String(spadeId));
+
+      const { options, variants } = buildOptionsAndVariants(normalizedProduct, pricing);
+      const input = buildProductSetInput(normalizedProduct, options, variants, { locationId });
+
+      lines.push(JSON.stringify({ input }));
+      collectionGroups(normalizedProduct).forEach(group => { groups[`${group.kind}|${group.value}`] = group; });
+      return {
+        index,
+        spadeId: normalizedProduct.id,
+        title: normalizedProduct.title,
+        lineNumber: lines.length - 1,
+        // productSet can't carry translations; they're registered once the product exists
+        pendingTranslations: normalizedProduct.translations
+      };
+    } catch (error) {
+      return {
+        index,
+        spadeId: rawProduct && rawProduct.id,
+        title: rawProduct && (rawProduct.name || rawProduct.title),
+        status: 'failed',
+        errors: error.errors || [{ message: `Invalid product: ${error.message}` }]
+      };
+    }
+  });
+
+  return { lines, entries, groups: Object.values(groups) };
+}
+
+// Write the JSONL file, stage it, and start bulkOperationRunMutation. Returns the job record.
+// options.pricing is the resolved pricing strategy applied to every product, and
+// options.format the input format they're all in (detected per product when omitted).
+async function startImport(shop, products, options = {}) {
+  const locationId = await getLocationId(shop, options);
+  const { lines, entries, groups } = buildImportLines(shop, products, locationId, options.pricing, options.format);
+  const jobId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  const job = {
+    id: jobId,
+    shop,
+    status: 'CREATED',
+    bulkOperationId: null,
+    createdAt: now,
+    updatedAt: now,
+    products: entries
+  };
+
+  if (lines.length === 0) {
+    // Nothing to do is only a failure if something couldn't be built
+    if (entries.every(entry => entry.status === 'skipped')) {
+      job.status = 'COMPLETED';
+    } else {
+      job.status = 'FAILED';
+      job.error = 'No importable products';
+    }
+    return jobs.set(jobId, job);
+  }
+
+  const jsonl = Buffer.from(lines.join('\n') + '\n', 'utf8');
+  const filename = `spade-import-${jobId}.jsonl`;
+  const target = await createStagedUpload(shop, {
+    resource: 'BULK_MUTATION_VARIABLES',
+    filename,
+    mimeType: 'text/jsonl'
+  }, options);
+  await uploadToStagedTarget(target, jsonl, filename, 'text/jsonl');
+
+  const mutation = `
+    mutation BulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, {
+    mutation: BULK_PRODUCT_MUTATION,
+    stagedUploadPath: getStagedUploadPath(target)
+  }, 'bulkOperationRunMutation', options);
+
+  // Collections match by tag, so creating them up front covers the imported products too
+  job.collections = await ensureCollections(shop, groups, options);
+
+  job.bulkOperationId = result.bulkOperation.id;
+  job.status = result.bulkOperation.status;
+  return jobs.set(jobId, job);
+}
+
+// Match result lines (keyed by __lineNumber) back to the products that produced them
+function applyResults(shop, job, resultLines) {
+  const byLine = {};
+  resultLines.forEach(line => { byLine[line.__lineNumber] = line; });
+
+  job.products = job.products.map(entry => {
+    if (entry.lineNumber === undefined) return entry;
+
+    const line = byLine[entry.lineNumber];
+    const payload = line && line.data && line.data.productSet;
+    const errors = (line && line.errors) || (payload && payload.userErrors) || [];
+
+    if (payload && payload.product && errors.length === 0) {
+      // Let later upserts find the imported product instead of creating a duplicate
+      productMap.saveMapping(shop, entry.spadeId, {
+        productId: payload.product.id,
+        inputHash: null,
+        media: []
+      });
+      return { ...entry, status: 'created', productId: payload.product.id };
+    }
+
+    return {
+      ...entry,
+      status: 'failed',
+      errors: errors.length > 0 ? errors : [{ message: 'No result returned for this product' }]
+    };
+  });
+}
+
+// Register the translations of each created product, recording the per-locale results on its
+// entry. Progress is saved as it goes, so a restart picks up with the products still pending.
+async function registerImportTranslations(shop, job, options = {}) {
+  let registered = 0;
+  for (const [index, entry] of job.products.entries()) {
+    if (!entry.pendingTranslations) continue;
+
+    const { pendingTranslations, ...rest } = entry;
+    const translations = rest.status === 'created'
+      ? await registerProductTranslations(shop, rest.productId, pendingTranslations, options)
+      : [];
+    job.products[index] = { ...rest, translations };
+
+    registered += 1;
+    if (registered % TRANSLATION_SAVE_EVERY === 0) jobs.set(job.id, job);
+  }
+
+  job.translationStatus = 'COMPLETED';
+  jobs.set(job.id, job);
+}
+
+// Start registering a finished job's translations in the background, unless that's already
+// running or there's nothing left to register
+function startImportTranslations(shop, job, options = {}) {
+  if (translationRuns.has(job.id) || !job.products.some(entry => entry.pendingTranslations)) return;
+
+  translationRuns.add(job.id);
+  job.translationStatus = 'RUNNING';
+  jobs.set(job.id, job);
+
+  registerImportTranslations(shop, job, options)
+    .catch(error => {
+      console.error(`Import ${job.id} translation error:`, error.details || error.message);
+      job.translationStatus = 'FAILED';
+      jobs.set(job.id, job);
+    })
+    .finally(() => translationRuns.delete(job.id));
+}
+
+// Refresh a job from its bulk operation; once complete, download and record per-product results
+async function refreshImportJob(shop, job, options) {
+  const query = `
+    query BulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { id: job.bulkOperationId }, options);
+  const operation = data.node;
+  if (!operation) return;
+
+  job.status = operation.status;
+  job.errorCode = operation.errorCode;
+  job.objectCount = operation.objectCount;
+  job.updatedAt = new Date().toISOString();
+
+  const resultUrl = operation.url || operation.partialDataUrl;
+  if (FINISHED_STATUSES.includes(operation.status) && resultUrl) {
+    const response = await axios.get(resultUrl, { responseType: 'text' });
+    const resultLines = String(response.data)
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+    applyResults(shop, job, resultLines);
+  } else if (FINISHED_STATUSES.includes(operation.status)) {
+    applyResults(shop, job, []);
+  }
+
+  jobs.set(job.id, job);
+}
+
+// A job, refreshed from its bulk operation while that's still running. Translations of a
+// finished job are registered in the background; the job's translationStatus tracks them.
+async function getImportJob(shop, jobId, options = {}) {
+  const job = jobs.get(jobId);
+  if (!job || job.shop !== shop) return null;
+
+  if (job.bulkOperationId && !FINISHED_STATUSES.includes(job.status)) {
+    await refreshImportJob(shop, job, options);
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    startImportTranslations(shop, job, options);
+  }
+
+  return job;
+}
+
+// bulk_operations/finish webhook: record the results of the job it belongs to, so its
+// translations are registered whether or not anyone polls the job
+async function handleBulkOperationFinish({ shop, payload }) {
+  const operationId = payload.admin_graphql_api_id;
+  const entry = jobs.entries().find(([, job]) => job.shop === shop && job.bulkOperationId === operationId);
+  if (!entry) return;
+
+  await getImportJob(shop, entry[0]);
+}
+
+// Per-status counts for a job's products
+function summarizeJob(job) {
+  const counts = { created: 0, skipped: 0, failed: 0, pending: 0 };
+  job.products.forEach(entry => {
+    counts[['created', 'skipped', 'failed'].includes(entry.status) ? entry.status : 'pending'] += 1;
+  });
+  return counts;
+}
+
+function removeShopJobs(shop) {
+  return jobs.prune(job => job.shop === shop);
+}
+
+module.exports = {
+  startImport,
+  getImportJob,
+  handleBulkOperationFinish,
+  summarizeJob,
+  removeShopJobs
+};
@@ -0,0 +1,367 @@
+const { createFileStore } = require('./fileStore');
+const { graphql, mutate } = require('./shopifyClient');
+const { SPADE_NAMESPACE, readSpadeMetafields } = require('./metafields');
+const { slugify, collectionGroups } = require('./productBuilder');
+const { SPADE_PRODUCT_TAG } = require('./inputAdapters');
+
+// `${shop}|${kind}|${value}` -> { shop, kind, value, collectionId, handle, title, published, updatedAt }
+// One smart collection per Spade store and per manufacturer. Each matches products tagged
+// with both the store or manufacturer name and the Spade marker tag, so a merchant's own
+// product that shares the name stays out, and Shopify keeps membership up to date itself.
+// Collections are published to the Online Store so they show on the storefront, which
+// needs the write_publications scope in SHOPIFY_SCOPES.
+const store = createFileStore('spade-collections');
+
+// Online Store publication id per shop, looked up once per process
+const onlineStoreIds = {};
+
+function recordKey(shop, kind, value) {
+  return `${shop}|${kind}|${value}`;
+}
+
+function buildCollectionInput({ kind, value }) {
+  return {
+    title: value,
+    handle: `spade-${kind}-${slugify(value)}`,
+    ruleSet: {
+      appliedDisjunctively: false,
+      rules: [
+        { column: 'TAG', relation: 'EQUALS', condition: value },
+        { column: 'TAG', relation: 'EQUALS', condition: SPADE_PRODUCT_TAG }
+      ]
+    }
+  };
+}
+
+const COLLECTION_FIELDS = `
+  id
+  title
+  handle
+  productsCount {
+    count
+  }
+  ruleSet {
+    appliedDisjunctively
+    rules {
+      column
+      relation
+      condition
+    }
+  }
+`;
+
+async function getCollection(shop, id, options = {}) {
+  const query = `
+    query Collection($id: ID!) {
+      collection(id: $id) {
+        ${COLLECTION_FIELDS}
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { id }, options);
+  return data.collection;
+}
+
+async function findCollectionByHandle(shop, handle, options = {}) {
+  const query = `
+    query CollectionByHandle($query: String!) {
+      collections(first: 1, query: $query) {
+        nodes {
+          ${COLLECTION_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { query: `handle:${handle}` }, options);
+  const match = data.collections.nodes[0];
+  return match && match.handle === handle ? match : null;
+}
+
+async function createCollection(shop, input, options = {}) {
+  const mutation = `
+    mutation CollectionCreate($input: CollectionInput!) {
+      collectionCreate(input: $input) {
+        collection {
+          ${COLLECTION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { input }, 'collectionCreate', options);
+  return result.collection;
+}
+
+async function updateCollectionRules(shop, id, ruleSet, options = {}) {
+  const mutation = `
+    mutation CollectionUpdate($input: CollectionInput!) {
+      collectionUpdate(input: $input) {
+        collection {
+          ${COLLECTION_FIELDS}
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { input: { id, ruleSet } }, 'collectionUpdate', options);
+  return result.collection;
+}
+
+async function getOnlineStorePublicationId(shop, options = {}) {
+  if (onlineStoreIds[shop]) return onlineStoreIds[shop];
+
+  const query = `
+    query Publications {
+      publications(first: 50) {
+        nodes {
+          id
+          name
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, {}, options);
+  const onlineStore = data.publications.nodes.find(publication => publication.name === 'Online Store');
+  if (!onlineStore) {
+    throw new Error('The shop has no Online Store sales channel to publish collections to');
+  }
+  onlineStoreIds[shop] = onlineStore.id;
+  return onlineStore.id;
+}
+
+// Make a collection visible on the storefront. Publishing an already published collection is a no-op.
+async function publishCollection(shop, collectionId, options = {}) {
+  const mutation = `
+    mutation PublishablePublish($id: ID!, $input: [PublicationInput!]!) {
+      publishablePublish(id: $id, input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const publicationId = await getOnlineStorePublicationId(shop, options);
+  await mutate(shop, mutation, { id: collectionId, input: [{ publicationId }] }, 'publishablePublish', options);
+}
+
+function saveRecord(shop, group, collection, published) {
+  return store.set(recordKey(shop, group.kind, group.value), {
+    shop,
+    kind: group.kind,
+    value: group.value,
+    collectionId: collection.id,
+    handle: collection.handle,
+    title: collection.title,
+    published,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+function rulesMatch(collection, ruleSet) {
+  const current = collection.ruleSet || {};
+  const rules = current.rules || [];
+  return Boolean(current.appliedDisjunctively) === ruleSet.appliedDisjunctively &&
+    rules.length === ruleSet.rules.length && ruleSet.rules.every(rule =>
+    rules.some(r => r.column === rule.column && r.relation === rule.relation && r.condition === rule.condition)
+  );
+}
+
+// Find or create the collection for one group. With verify, a recorded collection is
+// checked against Shopify and recreated or its rule corrected if it drifted. New collections,
+// and every collection when verifying, are published to the Online Store; a publishing
+// failure is reported as publishError rather than thrown.
+// Returns { kind, value, collectionId, handle, published, publishError?,
+// action: 'existing' | 'created' | 'recreated' | 'updated' }.
+async function ensureCollection(shop, group, options = {}, verify = false) {
+  const input = buildCollectionInput(group);
+  const record = store.get(recordKey(shop, group.kind, group.value));
+  let collection = null;
+  let action = 'existing';
+
+  if (record && !verify) {
+    return {
+      kind: group.kind,
+      value: group.value,
+      collectionId: record.collectionId,
+      handle: record.handle,
+      published: Boolean(record.published),
+      action
+    };
+  }
+
+  if (record) {
+    collection = await getCollection(shop, record.collectionId, options);
+  }
+  if (!collection) {
+    collection = await findCollectionByHandle(shop, input.handle, options);
+  }
+
+  if (!collection) {
+    collection = await createCollection(shop, input, options);
+    action = record ? 'recreated' : 'created';
+  } else if (!rulesMatch(collection, input.ruleSet)) {
+    collection = await updateCollectionRules(shop, collection.id, input.ruleSet, options);
+    action = 'updated';
+  }
+
+  const result = { kind: group.kind, value: group.value, collectionId: collection.id, handle: collection.handle, action };
+  try {
+    await publishCollection(shop, collection.id, options);
+    result.published = true;
+  } catch (error) {
+    console.error(`Collection publish error for ${group.kind} "${group.value}":`, error.details || error.message);
+    result.published = false;
+    result.publishError = error.message;
+  }
+
+  saveRecord(shop, group, collection, result.published);
+  return result;
+}
+
+// Make sure each group's collection exists. Failures are reported per collection rather
+// than thrown, since the products themselves were already written.
+async function ensureCollections(shop, groups, options = {}) {
+  const results = [];
+  for (const group of groups) {
+    try {
+      results.push(await ensureCollection(shop, group, options));
+    } catch (error) {
+      console.error(`Collection error for ${group.kind} "${group.value}":`, error.details || error.message);
+      results.push({ ...group, action: 'failed', error: error.message });
+    }
+  }
+  return results;
+}
+
+// Make sure a product's store and manufacturer collections exist
+function assignProductCollections(shop, product, options = {}) {
+  return ensureCollections(shop, collectionGroups(product), options);
+}
+
+// Store and manufacturer groups of every Spade product already in the shop, from their metafields
+async function discoverGroups(shop, options = {}) {
+  const query = `
+    query SpadeProducts($after: String, $namespace: String!) {
+      products(first: 250, after: $after, query: "tag:${SPADE_PRODUCT_TAG}") {
+        nodes {
+          metafields(first: 20, namespace: $namespace) {
+            nodes {
+              key
+              type
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const groups = {};
+  let after = null;
+  do {
+    const data = await graphql(shop, query, { after, namespace: SPADE_NAMESPACE }, options);
+    data.products.nodes.forEach(node => {
+      const spade = readSpadeMetafields(node.metafields.nodes);
+      if (spade.store_name) groups[`store|${spade.store_name}`] = { kind: 'store', value: spade.store_name };
+      if (spade.manufacturer_name) {
+        groups[`manufacturer|${spade.manufacturer_name}`] = { kind: 'manufacturer', value: spade.manufacturer_name };
+      }
+    });
+    after = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+  } while (after);
+
+  return Object.values(groups);
+}
+
+function listCollectionRecords(shop) {
+  return store.entries()
+    .filter(([key]) => key.startsWith(`${shop}|`))
+    .map(([, record]) => record);
+}
+
+// Recorded collections with their current product counts from Shopify
+async function listCollections(shop, options = {}) {
+  const records = listCollectionRecords(shop);
+  if (records.length === 0) return [];
+
+  const query = `
+    query Collections($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Collection {
+          id
+          title
+          handle
+          productsCount {
+            count
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { ids: records.map(r => r.collectionId) }, options);
+  const byId = {};
+  data.nodes.filter(Boolean).forEach(node => { byId[node.id] = node; });
+
+  return records.map(record => {
+    const collection = byId[record.collectionId];
+    return {
+      kind: record.kind,
+      value: record.value,
+      collectionId: record.collectionId,
+      handle: record.handle,
+      title: collection ? collection.title : record.title,
+      published: Boolean(record.published),
+      productsCount: collection ? collection.productsCount.count : null,
+      missing: !collection
+    };
+  });
+}
+
+// Re-check every known collection plus any store/manufacturer found on the shop's Spade
+// products, recreating deleted collections, fixing edited rules and publishing any that
+// aren't on the Online Store yet (e.g. created before write_publications was granted).
+async function rebuildCollections(shop, options = {}) {
+  const groups = {};
+  listCollectionRecords(shop).forEach(r => { groups[`${r.kind}|${r.value}`] = { kind: r.kind, value: r.value }; });
+  (await discoverGroups(shop, options)).forEach(g => { groups[`${g.kind}|${g.value}`] = g; });
+
+  const results = [];
+  for (const group of Object.values(groups)) {
+    try {
+      results.push(await ensureCollection(shop, group, options, true));
+    } catch (error) {
+      results.push({ ...group, action: 'failed', error: error.message });
+    }
+  }
+  return results;
+}
+
+function removeShopCollections(shop) {
+  return store.prune(record => record.shop === shop);
+}
+
+module.exports = {
+  ensureCollections,
+  assignProductCollections,
+  listCollections,
+  rebuildCollections,
+  removeShopCollections
+};
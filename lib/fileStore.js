@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory for all local state (tokens, mappings, logs). Override with DATA_DIR.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Small JSON-file backed key/value store.
+// Everything is kept in memory and flushed to disk on every write, which is
+// plenty for the number of shops this server handles and survives pm2 restarts.
+function createFileStore(name) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let data = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    }
+  } catch (error) {
+    console.error(`Failed to load ${filePath}:`, error.message);
+    data = {};
+  }
+
+  function persist() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    // Write to a temp file and rename so a crash mid-write never corrupts the store
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    get(key) {
+      return data[key];
+    },
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(data, key);
+    },
+    set(key, value) {
+      data[key] = value;
+      persist();
+      return value;
+    },
+    delete(key) {
+      if (!Object.prototype.hasOwnProperty.call(data, key)) return false;
+      delete data[key];
+      persist();
+      return true;
+    },
+    // Remove every entry the predicate matches, writing the file once
+    prune(predicate) {
+      const stale = Object.keys(data).filter(key => predicate(data[key], key));
+      if (stale.length === 0) return 0;
+      stale.forEach(key => delete data[key]);
+      persist();
+      return stale.length;
+    },
+    keys() {
+      return Object.keys(data);
+    },
+    entries() {
+      return Object.entries(data);
+    }
+  };
+}
+
+module.exports = { createFileStore, DATA_DIR };
@@ -0,0 +1,504 @@
+// Input adapters turn the product payload formats we accept into one normalized structure:
+// { id, title, description, attributes: [{ name, values: [{ name, price, ... }] }], media, stock,
+//   is_active, status, tags, sample_id, manufacturer, store, price_range, translations, ... }.
+// Each adapter has a JSON Schema that the payload must match first.
+
+const { validate } = require('./jsonSchema');
+
+// Adapters in detection order; the first whose detect() matches handles the payload
+const adapters = [];
+
+// Tag on every product we create, so Spade products can be told apart from the merchant's own
+const SPADE_PRODUCT_TAG = 'spade-product';
+
+class InputValidationError extends Error {
+  constructor(format, errors) {
+    super(format ? `Product does not match the ${format} format` : 'Invalid product input');
+    this.name = 'InputValidationError';
+    this.status = 422;
+    this.format = format;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { error: this.message, format: this.format, errors: this.errors };
+  }
+}
+
+// { name, schema, detect(input), normalize(input), check?(input) -> extra [{ field, message }] }
+function registerInputAdapter(adapter) {
+  adapters.push(adapter);
+}
+
+function getInputAdapter(name) {
+  return adapters.find(adapter => adapter.name === name) || null;
+}
+
+function listInputAdapters() {
+  return adapters.map(({ name, schema }) => ({ name, schema }));
+}
+
+function detectInputFormat(input) {
+  const adapter = adapters.find(candidate => candidate.detect(input));
+  return adapter ? adapter.name : null;
+}
+
+// Validate and normalize a payload, either in the named format or the detected one.
+// Returns { format, product }; throws InputValidationError with field-level errors.
+function normalizeInput(input, format) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new InputValidationError(null, [{ field: 'product', message: 'must be an object' }]);
+  }
+
+  const adapter = format ? getInputAdapter(format) : getInputAdapter(detectInputFormat(input));
+  if (!adapter) {
+    throw new InputValidationError(null, [{
+      field: 'format',
+      message: `must be one of ${adapters.map(a => a.name).join(', ')}`
+    }]);
+  }
+
+  const errors = validate(adapter.schema, input);
+  if (errors.length === 0 && adapter.check) {
+    errors.push(...adapter.check(input));
+  }
+  if (errors.length > 0) {
+    throw new InputValidationError(adapter.name, errors);
+  }
+
+  return { format: adapter.name, product: adapter.normalize(input) };
+}
+
+// Prices arrive as numbers or decimal strings ("12.50")
+const priceSchema = {
+  type: ['number', 'string'],
+  pattern: '^\\s*-?\\d+(\\.\\d+)?\\s*$',
+  errorMessage: 'must be a number'
+};
+
+const tagsSchema = {
+  type: ['array', 'string'],
+  items: { type: 'string' }
+};
+
+const stockSchema = {
+  type: ['integer', 'string', 'object']
+};
+
+// Shopify product status, in either case; normalized to upper case
+const statusSchema = {
+  type: 'string',
+  enum: ['active', 'draft', 'archived', 'ACTIVE', 'DRAFT', 'ARCHIVED']
+};
+
+// Per-locale content, the same in every format and passed through as is:
+// { fr: { title, description, options: { color: { name: 'Couleur', values: { orange: 'Orange' } } } } }
+// Options and values are keyed by their names in the product's own language.
+const translationsSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1 },
+      options: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            values: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } }
+          }
+        }
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+// Spade's nested sample format (see products.json)
+const spadeSampleSchema = {
+  type: 'object',
+  required: ['sample'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    name: { type: 'string', minLength: 1 },
+    description: { type: ['string', 'null'] },
+    stock: stockSchema,
+    is_active: { type: 'boolean' },
+    tags: tagsSchema,
+    store: { type: 'object', properties: { name: { type: 'string' } } },
+    price_range: { type: ['object', 'null'] },
+    translations: translationsSchema,
+    sample: {
+      type: 'object',
+      required: ['sample_attributes'],
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: ['string', 'null'] },
+        manufacturer: { type: ['object', 'null'] },
+        sample_media: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['media'],
+            properties: {
+              media: { type: 'string', minLength: 1 },
+              mime_type: { type: 'string' },
+              is_featured: { type: 'boolean' }
+            }
+          }
+        },
+        sample_attributes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'values'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              values: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  required: ['name'],
+                  properties: {
+                    name: { type: ['string', 'number'], minLength: 1 },
+                    price: priceSchema,
+                    compare_price: priceSchema,
+                    unit_price: priceSchema,
+                    sku: { type: ['string', 'number'] },
+                    images: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        required: ['image'],
+                        properties: { image: { type: 'string', minLength: 1 } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  // The title comes from the product name, falling back to the sample's title
+  anyOf: [
+    { required: ['name'] },
+    { properties: { sample: { required: ['title'] } } }
+  ]
+};
+
+function normalizeSpadeSample(input) {
+  // Extract data from the nested structure
+  const sample = input.sample;
+
+  // Transform sample_attributes to flat attributes structure
+  const attributes = sample.sample_attributes.map(attr => ({
+    name: attr.name,
+    values: attr.values.map(val => ({
+      name: val.name,
+      price: val.price,
+      compare_price: val.compare_price,
+      unit_price: val.unit_price,
+      unit: val.unit,
+      sku: val.sku,
+      images: val.images
+    }))
+  }));
+
+  // Extract media from sample_media and attribute value images
+  const media = [
+    ...(sample.sample_media || []).map(m => ({
+      media: m.media,
+      mime_type: m.mime_type,
+      is_featured: m.is_featured
+    })),
+    ...attributes.flatMap(attr =>
+      attr.values.flatMap(val =>
+        (val.images || []).map(img => ({
+          media: img.image,
+          // Remember which value the image shows so it can be linked to those variants
+          attribute: attr.name,
+          value: val.name
+        }))
+      )
+    )
+  ];
+
+  // Generate tags from various sources
+  const tags = [SPADE_PRODUCT_TAG];
+
+  // Add explicit tags if provided
+  if (input.tags) {
+    tags.push(...(Array.isArray(input.tags) ? input.tags : [input.tags]));
+  }
+
+  // Add store name as tag if available
+  if (input.store && input.store.name) {
+    tags.push(input.store.name);
+  }
+
+  // Add manufacturer as tag if available
+  if (sample.manufacturer && sample.manufacturer.first_name) {
+    tags.push(`${sample.manufacturer.first_name} ${sample.manufacturer.last_name}`.trim());
+  }
+
+  // Add attribute names as tags
+  attributes.forEach(attr => {
+    tags.push(attr.name);
+  });
+
+  // Add product name/title as tag
+  if (input.name) {
+    tags.push(input.name);
+  }
+
+  return {
+    id: input.id,
+    sample_id: sample.id,
+    title: input.name || sample.title,
+    description: input.description || sample.description,
+    attributes: attributes,
+    media: media,
+    stock: input.stock,
+    is_active: input.is_active,
+    price_range: input.price_range,
+    manufacturer: sample.manufacturer || undefined,
+    store: input.store,
+    unit: input.unit || sample.unit,
+    tags: [...new Set(tags)], // Remove duplicates
+    translations: input.translations
+  };
+}
+
+// The older flat format: { title, price, attributes: [{ name, values: ['S', 'M'] | [{ name, price }] }] }
+const legacySchema = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    title: { type: 'string', minLength: 1 },
+    description: { type: ['string', 'null'] },
+    price: priceSchema,
+    stock: stockSchema,
+    is_active: { type: 'boolean' },
+    status: statusSchema,
+    tags: { type: 'array', items: { type: 'string' } },
+    translations: translationsSchema,
+    attributes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'values'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          values: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              anyOf: [
+                { type: ['string', 'number'] },
+                {
+                  type: 'object',
+                  required: ['name'],
+                  properties: {
+                    name: { type: ['string', 'number'], minLength: 1 },
+                    price: priceSchema,
+                    compare_price: priceSchema,
+                    unit_price: priceSchema,
+                    surcharge: priceSchema,
+                    sku: { type: ['string', 'number'] }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      }
+    },
+    media: {
+      type: 'array',
+      items: {
+        type: 'object',
+        anyOf: [
+          { required: ['media'], properties: { media: { type: 'string', minLength: 1 } } },
+          { required: ['image'], properties: { image: { type: 'string', minLength: 1 } } }
+        ]
+      }
+    }
+  }
+};
+
+function normalizeLegacy(input) {
+  return {
+    ...input,
+    attributes: (input.attributes || []).map(attr => ({
+      name: attr.name,
+      values: attr.values.map(val => (typeof val === 'object' ? val : { name: val }))
+    })),
+    media: input.media || [],
+    status: input.status ? input.status.toUpperCase() : undefined,
+    tags: input.tags || []
+  };
+}
+
+// A plain Shopify-like product: { title, body_html, options: [{ name, values }],
+// variants: [{ option1, option2, option3, price, compare_at_price, sku, inventory_quantity }],
+// images: [{ src, alt }] }. Variants are taken as listed rather than expanded from the options.
+const shopifySchema = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    title: { type: 'string', minLength: 1 },
+    body_html: { type: ['string', 'null'] },
+    status: statusSchema,
+    tags: tagsSchema,
+    translations: translationsSchema,
+    options: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'values'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          values: { type: 'array', minItems: 1, items: { type: ['string', 'number'] } }
+        }
+      }
+    },
+    variants: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['price'],
+        properties: {
+          price: priceSchema,
+          compare_at_price: { anyOf: [priceSchema, { type: 'null' }] },
+          sku: { type: ['string', 'null'] },
+          option1: { type: ['string', 'number'] },
+          option2: { type: ['string', 'number'] },
+          option3: { type: ['string', 'number'] },
+          inventory_quantity: { type: 'integer' }
+        }
+      }
+    },
+    images: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['src'],
+        properties: {
+          src: { type: 'string', minLength: 1 },
+          alt: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Every variant must pick a declared value for each option
+function checkShopifyVariants(input) {
+  const options = input.options || [];
+  const errors = [];
+
+  (input.variants || []).forEach((variant, index) => {
+    options.forEach((option, optionIndex) => {
+      const key = `option${optionIndex + 1}`;
+      const value = variant[key];
+      if (value === undefined || value === null) {
+        errors.push({ field: `variants[${index}].${key}`, message: `is required for option "${option.name}"` });
+      } else if (!option.values.map(String).includes(String(value))) {
+        errors.push({ field: `variants[${index}].${key}`, message: `"${value}" is not a value of option "${option.name}"` });
+      }
+    });
+  });
+
+  return errors;
+}
+
+function normalizeShopify(input) {
+  const options = input.options || [];
+  const variants = input.variants || [];
+  const optionValues = variant => options.map((option, index) => String(variant[`option${index + 1}`]));
+
+  // Per-variant stock keyed by option title, as resolveVariantQuantity expects
+  let stock;
+  if (variants.some(variant => variant.inventory_quantity !== undefined)) {
+    if (options.length === 0) {
+      stock = variants[0].inventory_quantity;
+    } else {
+      stock = {};
+      variants.forEach(variant => {
+        if (variant.inventory_quantity !== undefined) {
+          stock[optionValues(variant).join(' / ')] = variant.inventory_quantity;
+        }
+      });
+    }
+  }
+
+  let tags = input.tags || [];
+  if (typeof tags === 'string') {
+    tags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  return {
+    id: input.id,
+    title: input.title,
+    description: input.body_html,
+    price: variants.length > 0 ? variants[0].price : undefined,
+    attributes: options.map(option => ({
+      name: option.name,
+      values: option.values.map(value => ({ name: String(value) }))
+    })),
+    explicit_variants: options.length === 0 ? undefined : variants.map(variant => ({
+      options: optionValues(variant),
+      price: variant.price,
+      compare_price: variant.compare_at_price,
+      sku: variant.sku || undefined
+    })),
+    media: (input.images || []).map(image => ({ media: image.src, alt: image.alt })),
+    stock,
+    // Kept as is rather than folded into is_active, which can't express ARCHIVED
+    status: input.status ? input.status.toUpperCase() : undefined,
+    tags,
+    translations: input.translations
+  };
+}
+
+registerInputAdapter({
+  name: 'spade-sample',
+  schema: spadeSampleSchema,
+  detect: input => Boolean(input.sample),
+  normalize: normalizeSpadeSample
+});
+
+registerInputAdapter({
+  name: 'shopify',
+  schema: shopifySchema,
+  detect: input => Array.isArray(input.variants) || Array.isArray(input.images) || input.body_html !== undefined,
+  check: checkShopifyVariants,
+  normalize: normalizeShopify
+});
+
+// Registered last: anything else is treated as the flat format
+registerInputAdapter({
+  name: 'legacy',
+  schema: legacySchema,
+  detect: () => true,
+  normalize: normalizeLegacy
+});
+
+module.exports = {
+  SPADE_PRODUCT_TAG,
+  InputValidationError,
+  registerInputAdapter,
+  getInputAdapter,
+  listInputAdapters,
+  detectInputFormat,
+  normalizeInput
+};
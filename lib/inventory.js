@@ -0,0 +1,117 @@
+const { graphql, mutate } = require('./shopifyClient');
+const { resolveVariantQuantity } = require('./productBuilder');
+
+// shop -> location GID, so we only look up the primary location once per process
+const locationCache = {};
+
+function toLocationGid(id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/Location/${id}`;
+}
+
+// SHOPIFY_LOCATION_ID if configured, otherwise the shop's primary location
+async function getLocationId(shop, options = {}) {
+  if (process.env.SHOPIFY_LOCATION_ID) {
+    return toLocationGid(process.env.SHOPIFY_LOCATION_ID);
+  }
+
+  if (locationCache[shop]) return locationCache[shop];
+
+  const data = await graphql(shop, '{ location { id } }', {}, options);
+  locationCache[shop] = data.location.id;
+  return locationCache[shop];
+}
+
+// Turn on tracking for inventory items that were created untracked
+async function enableTracking(shop, inventoryItemIds, options = {}) {
+  const mutation = `
+    mutation InventoryItemUpdate($id: ID!, $input: InventoryItemInput!) {
+      inventoryItemUpdate(id: $id, input: $input) {
+        inventoryItem {
+          id
+          tracked
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  for (const id of inventoryItemIds) {
+    await mutate(shop, mutation, { id, input: { tracked: true } }, 'inventoryItemUpdate', options);
+  }
+}
+
+// Set absolute "available" quantities; quantities is [{ inventoryItemId, locationId, quantity }]
+async function setInventoryQuantities(shop, quantities, options = {}) {
+  const mutation = `
+    mutation InventorySetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          reason
+          changes {
+            name
+            delta
+          }
+        }
+        userErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, {
+    input: {
+      name: 'available',
+      reason: 'correction',
+      ignoreCompareQuantity: true,
+      quantities
+    }
+  }, 'inventorySetQuantities', options);
+
+  return result.inventoryAdjustmentGroup;
+}
+
+// Push Spade stock onto every variant of a Shopify product (as returned by productApi).
+// Returns what was set per variant so callers can report it.
+async function syncProductInventory(shop, product, stock, options = {}) {
+  // A location may be given as a GID or, like SHOPIFY_LOCATION_ID, as its numeric id
+  const locationId = options.locationId ? toLocationGid(options.locationId) : await getLocationId(shop, options);
+  const variants = product.variants.edges.map(({ node }) => node);
+
+  const untracked = variants
+    .filter(variant => variant.inventoryItem && !variant.inventoryItem.tracked)
+    .map(variant => variant.inventoryItem.id);
+  if (untracked.length > 0) {
+    await enableTracking(shop, untracked, options);
+  }
+
+  const applied = [];
+  const quantities = [];
+  variants.forEach(variant => {
+    const quantity = resolveVariantQuantity(stock, {
+      sku: variant.sku,
+      options: variant.selectedOptions.map(o => o.value)
+    });
+    if (quantity === null || !variant.inventoryItem) return;
+
+    quantities.push({ inventoryItemId: variant.inventoryItem.id, locationId, quantity });
+    applied.push({ variantId: variant.id, sku: variant.sku, title: variant.title, quantity });
+  });
+
+  const adjustment = quantities.length > 0
+    ? await setInventoryQuantities(shop, quantities, options)
+    : null;
+
+  return { locationId, variants: applied, adjustment };
+}
+
+module.exports = {
+  getLocationId,
+  setInventoryQuantities,
+  syncProductInventory
+};
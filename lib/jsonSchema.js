@@ -0,0 +1,108 @@
+// Minimal JSON Schema (draft-07 subset) validator for request payloads. Supports type,
+// required, properties, additionalProperties, items, enum, minLength, maxLength, minimum,
+// minItems, maxItems, pattern and anyOf — enough for the input adapter schemas without
+// another dependency.
+// errorMessage (as in ajv-errors) replaces the message for a failed pattern.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Returns [{ field, message }]; an empty array means the value matches the schema
+function validate(schema, value, path = '') {
+  const errors = [];
+  const field = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ field, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema.errorMessage || `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, join(path, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ field: join(path, key), message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validate(propertySchema, value[key], join(path, key)));
+      }
+    });
+    // Keys not listed under properties, e.g. the locales of a translations map
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      Object.keys(value)
+        .filter(key => !(schema.properties && key in schema.properties))
+        .forEach(key => {
+          if (schema.additionalProperties === false) {
+            errors.push({ field: join(path, key), message: 'is not allowed' });
+          } else {
+            errors.push(...validate(schema.additionalProperties, value[key], join(path, key)));
+          }
+        });
+    }
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validate(option, value, path));
+    if (!attempts.some(attempt => attempt.length === 0)) {
+      // Report the branch that got furthest, which is usually the one the caller meant
+      const closest = attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best));
+      errors.push(...closest);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,62 @@
+const path = require('path');
+
+// Extension -> MIME type for the media Shopify accepts on products
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/x-m4v',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.glb': 'model/gltf-binary',
+  '.usdz': 'model/vnd.usdz+zip'
+};
+
+const EXTERNAL_VIDEO_HOSTS = /^(www\.|m\.)?(youtube\.com|youtu\.be|vimeo\.com|player\.vimeo\.com)$/;
+
+// MIME type from the file extension (query strings ignored), as staged uploads require one
+function getMimeType(filePath) {
+  let pathname = String(filePath);
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch (error) {
+    // Not a URL; use it as a plain path
+  }
+  return MIME_TYPES[path.extname(pathname).toLowerCase()] || 'application/octet-stream';
+}
+
+function isExternalVideoUrl(url) {
+  try {
+    return EXTERNAL_VIDEO_HOSTS.test(new URL(url).hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+// Shopify MediaContentType for a URL: EXTERNAL_VIDEO for YouTube/Vimeo links, otherwise
+// from the MIME type (given, or guessed from the extension). Unknown files are IMAGE.
+function detectMediaContentType(url, mimeType) {
+  if (isExternalVideoUrl(url)) return 'EXTERNAL_VIDEO';
+
+  const type = String(mimeType || getMimeType(url)).toLowerCase();
+  if (type.startsWith('video/')) return 'VIDEO';
+  if (type.startsWith('model/')) return 'MODEL_3D';
+  return 'IMAGE';
+}
+
+// stagedUploadsCreate resource for each content type that has to be uploaded as a file
+const STAGED_RESOURCES = {
+  IMAGE: 'IMAGE',
+  VIDEO: 'VIDEO',
+  MODEL_3D: 'MODEL_3D'
+};
+
+module.exports = {
+  STAGED_RESOURCES,
+  getMimeType,
+  isExternalVideoUrl,
+  detectMediaContentType
+};
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const axios = require('axios');
+const { createStagedUpload, uploadToStagedTarget } = require('./stagedUploads');
+const { createProductMedia, waitForMediaReady } = require('./productApi');
+const { STAGED_RESOURCES, getMimeType } = require('./mediaTypes');
+const { SPADE_MEDIA_URL } = require('./productBuilder');
+
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Downloads are held in memory, so they're capped well below what the heap can take.
+// Images match Shopify's own 20 MB limit; videos and models stay under theirs.
+const MB = 1024 * 1024;
+const MAX_DOWNLOAD_BYTES = {
+  IMAGE: 20 * MB,
+  VIDEO: 250 * MB,
+  MODEL_3D: 100 * MB
+};
+
+// MIME type families each content type may be uploaded as
+const MIME_PREFIXES = {
+  IMAGE: 'image/',
+  VIDEO: 'video/',
+  MODEL_3D: 'model/'
+};
+
+function isPrivateIPv4(address) {
+  const [a, b, c] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224; // multicast and reserved
+}
+
+// IPv4 address embedded in an IPv4-mapped IPv6 address (::ffff:127.0.0.1, or ::ffff:7f00:1
+// as the URL parser writes it), else null
+function mappedIPv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return dotted[1];
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!hex) return null;
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isPrivateAddress(address) {
+  const host = address.toLowerCase();
+  if (net.isIPv4(host)) return isPrivateIPv4(host);
+  if (!net.isIPv6(host)) return true;
+
+  const ipv4 = mappedIPv4(host);
+  if (ipv4) return isPrivateIPv4(ipv4);
+  return host === '::1' || host === '::' || /^(fc|fd|fe[89ab]|ff)/.test(host);
+}
+
+// Whether Shopify's servers could fetch this URL themselves. Localhost, private
+// addresses and single-label hosts (e.g. a docker service name) can't be reached.
+function isPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host)) return !isPrivateAddress(host);
+
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return false;
+  return host.includes('.');
+}
+
+// Whether Shopify needs the file pushed to its storage first. Videos and 3D models always
+// do; images only when Shopify can't fetch the URL; external videos never do.
+function needsStagedUpload(item) {
+  if (item.mediaContentType === 'EXTERNAL_VIDEO') return false;
+  if (item.mediaContentType === 'IMAGE') return !isPublicUrl(item.originalSource);
+  return true;
+}
+
+// Origins we download from even though they aren't public: Spade's own media host plus
+// any listed in MEDIA_DOWNLOAD_ALLOWLIST (comma-separated, e.g. "http://spade-api:8000")
+function trustedOrigins() {
+  const origins = [SPADE_MEDIA_URL, ...(process.env.MEDIA_DOWNLOAD_ALLOWLIST || '').split(',')]
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      try {
+        return new URL(entry).origin;
+      } catch (error) {
+        return null;
+      }
+    });
+  return new Set(origins.filter(Boolean));
+}
+
+function isTrustedSource(url) {
+  try {
+    return trustedOrigins().has(new URL(url).origin);
+  } catch (error) {
+    return false;
+  }
+}
+
+// dns.lookup that refuses hosts resolving to a private address. Used on every connection,
+// redirects included, so a public-looking name can't point the download at our network.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Only Spade's media host (and the allowlist) may be private; anything else must be a
+// public URL that also resolves to public addresses
+async function downloadFile(url, mediaContentType = 'IMAGE') {
+  const trusted = isTrustedSource(url);
+  if (!trusted && !isPublicUrl(url)) {
+    throw new Error(`Refusing to download ${url}: not a public URL or an allowed media host`);
+  }
+
+  const maxBytes = MAX_DOWNLOAD_BYTES[mediaContentType] || MAX_DOWNLOAD_BYTES.IMAGE;
+  const download = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    maxContentLength: maxBytes,
+    maxBodyLength: maxBytes,
+    lookup: trusted ? undefined : publicLookup
+  });
+  return {
+    buffer: Buffer.from(download.data),
+    contentType: String(download.headers && download.headers['content-type'] || '').split(';')[0]
+  };
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Push a downloaded file to Shopify's storage; returns the resourceUrl to use as
+// originalSource in productCreateMedia
+async function stageFile(shop, url, { buffer, contentType }, mediaContentType = 'IMAGE', options = {}) {
+  const resource = STAGED_RESOURCES[mediaContentType];
+  if (!resource) {
+    throw new Error(`${mediaContentType} media can't be uploaded as a file`);
+  }
+
+  const filename = path.basename(new URL(url).pathname) || mediaContentType.toLowerCase();
+  const mimeType = contentType.startsWith(MIME_PREFIXES[mediaContentType]) ? contentType : getMimeType(filename);
+
+  const target = await createStagedUpload(shop, {
+    resource,
+    filename,
+    mimeType,
+    fileSize: buffer.length
+  }, options);
+  await uploadToStagedTarget(target, buffer, filename, mimeType);
+
+  return target.resourceUrl;
+}
+
+// Download a file ourselves and push it to Shopify's storage
+async function stageRemoteFile(shop, url, mediaContentType = 'IMAGE', options = {}) {
+  return stageFile(shop, url, await downloadFile(url, mediaContentType), mediaContentType, options);
+}
+
+// Attach media to a product, staging videos, 3D models and any image Shopify can't fetch
+// by URL. Files are downloaded (within the size caps) and hashed, so the same content under
+// two URLs is uploaded once; knownHashes ({ hash: mediaId }) covers media already on the
+// product. Public URLs are still handed to Shopify to fetch, and one we can't download
+// ourselves is sent unhashed rather than failed, since Shopify may still reach it.
+// Waits for Shopify to finish processing so failures show up here rather than silently later.
+// Returns { media, mediaUserErrors, files } where files has one entry per input:
+// { source, mediaContentType, staged, hash?, mediaId?, error?, duplicateOf?,
+//   status: 'ready' | 'processing' | 'failed' | 'existing' | 'duplicate' }
+async function uploadProductMedia(shop, productId, media, options = {}, knownHashes = {}) {
+  const files = [];
+  const submitted = [];
+  const byHash = {};
+
+  for (const item of media) {
+    const file = { source: item.originalSource, mediaContentType: item.mediaContentType, staged: false };
+    files.push(file);
+
+    if (item.mediaContentType === 'EXTERNAL_VIDEO') {
+      submitted.push({ item, file });
+      continue;
+    }
+
+    const staged = needsStagedUpload(item);
+    let downloaded;
+    try {
+      downloaded = await downloadFile(item.originalSource, item.mediaContentType);
+    } catch (error) {
+      if (!staged) {
+        submitted.push({ item, file });
+        continue;
+      }
+      file.status = 'failed';
+      file.error = `Staged upload failed: ${error.message}`;
+      continue;
+    }
+
+    file.hash = hashBuffer(downloaded.buffer);
+    if (knownHashes[file.hash]) {
+      file.status = 'existing';
+      file.mediaId = knownHashes[file.hash];
+      continue;
+    }
+    if (byHash[file.hash]) {
+      file.status = 'duplicate';
+      file.duplicateOf = byHash[file.hash].source;
+      continue;
+    }
+    byHash[file.hash] = file;
+
+    if (!staged) {
+      submitted.push({ item, file });
+      continue;
+    }
+
+    try {
+      const resourceUrl = await stageFile(shop, item.originalSource, downloaded, item.mediaContentType, options);
+      file.staged = true;
+      submitted.push({ item: { ...item, originalSource: resourceUrl }, file });
+    } catch (error) {
+      file.status = 'failed';
+      file.error = `Staged upload failed: ${error.details ? JSON.stringify(error.details) : error.message}`;
+    }
+  }
+
+  if (submitted.length === 0) {
+    return { media: [], mediaUserErrors: [], files: resolveDuplicates(files) };
+  }
+
+  let payload;
+  try {
+    payload = await createProductMedia(shop, productId, submitted.map(s => s.item), options);
+  } catch (error) {
+    submitted.forEach(({ file }) => {
+      file.status = 'failed';
+      file.error = error.message;
+    });
+    console.error('Media upload error:', error.details || error.message);
+    return { media: [], mediaUserErrors: [], files: resolveDuplicates(files) };
+  }
+
+  const created = payload.media || [];
+  const userErrors = payload.mediaUserErrors || [];
+
+  submitted.forEach(({ file }, index) => {
+    const error = userErrors.find(e => Array.isArray(e.field) && String(e.field[1]) === String(index));
+    if (error) {
+      file.status = 'failed';
+      file.error = error.message;
+    } else if (created[index] && created[index].id) {
+      file.mediaId = created[index].id;
+    } else {
+      file.status = 'failed';
+      file.error = userErrors.length > 0 ? userErrors.map(e => e.message).join('; ') : 'Shopify did not create this media';
+    }
+  });
+
+  const uploaded = submitted.map(s => s.file).filter(file => file.mediaId);
+  if (uploaded.length > 0) {
+    const statuses = await waitForMediaReady(shop, productId, uploaded.map(file => file.mediaId), options);
+    uploaded.forEach(file => {
+      const status = statuses[file.mediaId];
+      if (status === 'READY') {
+        file.status = 'ready';
+      } else if (status === 'FAILED') {
+        file.status = 'failed';
+        file.error = 'Shopify could not process this file';
+      } else {
+        file.status = 'processing';
+      }
+    });
+  }
+
+  files
+    .filter(file => file.status === 'failed')
+    .forEach(file => console.error(`Media upload failed for ${file.source}:`, file.error));
+
+  return { media: created, mediaUserErrors: userErrors, files: resolveDuplicates(files) };
+}
+
+// Duplicates share the media (and fate) of the first file with the same content
+function resolveDuplicates(files) {
+  files.filter(file => file.status === 'duplicate').forEach(file => {
+    const original = files.find(other => other.source === file.duplicateOf);
+    if (original && original.mediaId && original.status !== 'failed') {
+      file.mediaId = original.mediaId;
+    } else {
+      file.status = 'failed';
+      file.error = original && original.error ? original.error : 'Duplicate of a file that failed';
+    }
+  });
+  return files;
+}
+
+module.exports = {
+  isPublicUrl,
+  needsStagedUpload,
+  stageRemoteFile,
+  uploadProductMedia
+};
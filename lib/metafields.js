@@ -0,0 +1,182 @@
+const { graphql, mutate } = require('./shopifyClient');
+
+const SPADE_NAMESPACE = 'spade';
+
+// "First Last" for a Spade manufacturer record, or undefined
+function manufacturerName(product) {
+  if (!product.manufacturer) return undefined;
+  const name = [product.manufacturer.first_name, product.manufacturer.last_name].filter(Boolean).join(' ');
+  return name || undefined;
+}
+
+// Spade metadata written to every product, and the definitions created for it on install.
+// value(product) takes normalizeProductInput output and returns the string to store, or undefined.
+const SPADE_METAFIELDS = [
+  {
+    key: 'product_id',
+    name: 'Spade product ID',
+    type: 'single_line_text_field',
+    filterable: true,
+    value: product => product.id
+  },
+  {
+    key: 'sample_id',
+    name: 'Spade sample ID',
+    type: 'single_line_text_field',
+    filterable: true,
+    value: product => product.sample_id
+  },
+  {
+    key: 'manufacturer_name',
+    name: 'Manufacturer',
+    type: 'single_line_text_field',
+    filterable: true,
+    value: manufacturerName
+  },
+  {
+    key: 'manufacturer_email',
+    name: 'Manufacturer email',
+    type: 'single_line_text_field',
+    value: product => product.manufacturer && product.manufacturer.email
+  },
+  {
+    key: 'manufacturer_phone',
+    name: 'Manufacturer phone',
+    type: 'single_line_text_field',
+    value: product => product.manufacturer && product.manufacturer.phone_number
+  },
+  {
+    key: 'store_id',
+    name: 'Spade store ID',
+    type: 'single_line_text_field',
+    filterable: true,
+    value: product => product.store && product.store.id
+  },
+  {
+    key: 'store_name',
+    name: 'Spade store',
+    type: 'single_line_text_field',
+    filterable: true,
+    value: product => product.store && product.store.name
+  },
+  {
+    key: 'price_range',
+    name: 'Spade price range',
+    type: 'json',
+    value: product => product.price_range && JSON.stringify(product.price_range)
+  }
+];
+
+// MetafieldsSetInput-shaped entries (minus ownerId) for productSet's metafields
+function buildSpadeMetafields(product) {
+  return SPADE_METAFIELDS
+    .map(field => ({ field, value: field.value(product) }))
+    .filter(({ value }) => value !== undefined && value !== null && value !== '')
+    .map(({ field, value }) => ({
+      namespace: SPADE_NAMESPACE,
+      key: field.key,
+      type: field.type,
+      value: String(value)
+    }));
+}
+
+// { key: value } from metafield nodes, with json metafields parsed
+function readSpadeMetafields(nodes) {
+  const values = {};
+  (nodes || []).forEach(node => {
+    if (node.namespace && node.namespace !== SPADE_NAMESPACE) return;
+    let value = node.value;
+    if (node.type === 'json') {
+      try {
+        value = JSON.parse(node.value);
+      } catch (error) {
+        // Leave malformed JSON as the raw string
+      }
+    }
+    values[node.key] = value;
+  });
+  return values;
+}
+
+async function listSpadeDefinitions(shop, options = {}) {
+  const query = `
+    query SpadeMetafieldDefinitions($namespace: String!) {
+      metafieldDefinitions(first: 50, ownerType: PRODUCT, namespace: $namespace) {
+        nodes {
+          id
+          key
+          name
+          type {
+            name
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { namespace: SPADE_NAMESPACE }, options);
+  return data.metafieldDefinitions.nodes;
+}
+
+// Create any missing product metafield definitions under the spade namespace, pinned so
+// merchants see them in the admin. Safe to run repeatedly.
+// Returns [{ key, action: 'created' | 'exists' | 'failed', type, error? }].
+async function ensureMetafieldDefinitions(shop, options = {}) {
+  const existing = await listSpadeDefinitions(shop, options);
+  const byKey = {};
+  existing.forEach(definition => { byKey[definition.key] = definition; });
+
+  const mutation = `
+    mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition {
+          id
+          key
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const results = [];
+  for (const field of SPADE_METAFIELDS) {
+    if (byKey[field.key]) {
+      results.push({ key: field.key, action: 'exists', type: byKey[field.key].type.name });
+      continue;
+    }
+
+    const definition = {
+      name: field.name,
+      namespace: SPADE_NAMESPACE,
+      key: field.key,
+      type: field.type,
+      ownerType: 'PRODUCT',
+      pin: true
+    };
+    if (field.filterable) {
+      definition.capabilities = { adminFilterable: { enabled: true } };
+    }
+
+    try {
+      await mutate(shop, mutation, { definition }, 'metafieldDefinitionCreate', options);
+      results.push({ key: field.key, action: 'created', type: field.type });
+    } catch (error) {
+      results.push({ key: field.key, action: 'failed', type: field.type, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  SPADE_NAMESPACE,
+  SPADE_METAFIELDS,
+  manufacturerName,
+  buildSpadeMetafields,
+  readSpadeMetafields,
+  ensureMetafieldDefinitions
+};
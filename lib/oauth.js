@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { safeCompare } = require('./security');
+
+// Signed cookie carrying the state nonce from /install to /callback
+const OAUTH_STATE_COOKIE = 'shopify_oauth_state';
+const OAUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+function buildAuthURL(shop, state) {
+  const { SHOPIFY_API_KEY, SHOPIFY_SCOPES, SHOPIFY_HOST } = process.env;
+  const params = new URLSearchParams({
+    client_id: SHOPIFY_API_KEY,
+    scope: SHOPIFY_SCOPES,
+    redirect_uri: `${SHOPIFY_HOST}/shopify/callback`,
+    state
+  });
+  return `https://${shop}/admin/oauth/authorize?${params.toString()}`;
+}
+
+// Shopify signs the callback query (minus hmac/signature) with the app secret, hex encoded
+function verifyOAuthHMAC(query) {
+  const { hmac, signature, ...rest } = query;
+  if (typeof hmac !== 'string') return false;
+
+  const ordered = Object.keys(rest).sort().map(k => `${k}=${rest[k]}`).join('&');
+  const generated = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(ordered).digest('hex');
+  return safeCompare(generated, hmac);
+}
+
+// The callback's state must echo the nonce we set in the signed cookie at install
+function verifyOAuthState(expectedState, state) {
+  return Boolean(expectedState) && safeCompare(expectedState, state);
+}
+
+module.exports = {
+  OAUTH_STATE_COOKIE,
+  OAUTH_STATE_MAX_AGE_MS,
+  buildAuthURL,
+  verifyOAuthHMAC,
+  verifyOAuthState
+};
@@ -0,0 +1,121 @@
+const { createFileStore } = require('./fileStore');
+
+// shop -> { strategy, basePrice, priceTable } used when a request doesn't name one
+const shopPricing = createFileStore('pricing-settings');
+
+// How a variant's price is worked out from its selected attribute values:
+//   max       - highest value price (the original behaviour)
+//   additive  - basePrice plus each value's surcharge (value.surcharge, else value.price)
+//   first     - price of the first attribute's value that has one
+//   table     - explicit priceTable keyed by SKU or option title ("orange / Large"),
+//               falling back to max for combinations the table doesn't cover
+const STRATEGIES = ['max', 'additive', 'first', 'table'];
+const DEFAULT_STRATEGY = 'max';
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  return parseFloat(value);
+}
+
+function validatePricing(pricing) {
+  if (!STRATEGIES.includes(pricing.strategy)) {
+    throw new PricingError(`Unknown pricing strategy "${pricing.strategy}"; expected one of ${STRATEGIES.join(', ')}`);
+  }
+  if (pricing.strategy === 'table' && (!pricing.priceTable || typeof pricing.priceTable !== 'object')) {
+    throw new PricingError('The table pricing strategy needs a priceTable object');
+  }
+  if (pricing.basePrice !== undefined && isNaN(toNumber(pricing.basePrice))) {
+    throw new PricingError('basePrice must be numeric');
+  }
+}
+
+// Pick the strategy for a request: the request's own setting, then the shop's, then the default.
+// Accepts a strategy name or { strategy, basePrice, priceTable }.
+function resolvePricing(shop, requested) {
+  let pricing;
+  let source;
+
+  if (requested) {
+    pricing = typeof requested === 'string' ? { strategy: requested } : { ...requested };
+    source = 'request';
+  } else if (shop && shopPricing.get(shop)) {
+    pricing = { ...shopPricing.get(shop) };
+    source = 'store';
+  } else {
+    pricing = { strategy: DEFAULT_STRATEGY };
+    source = 'default';
+  }
+
+  validatePricing(pricing);
+  return { ...pricing, source };
+}
+
+function getShopPricing(shop) {
+  return shopPricing.get(shop) || null;
+}
+
+function saveShopPricing(shop, pricing) {
+  const { strategy, basePrice, priceTable } = pricing;
+  const settings = { strategy, basePrice, priceTable };
+  validatePricing(settings);
+  return shopPricing.set(shop, settings);
+}
+
+function removeShopPricing(shop) {
+  return shopPricing.delete(shop);
+}
+
+// Price of `field` (price or compare_price) for one combination of attribute values.
+// Returns null when no value in the combination carries that field.
+function priceCombination(combo, field, pricing, product, key) {
+  const strategy = (pricing && pricing.strategy) || DEFAULT_STRATEGY;
+  const fallback = toNumber(product.price);
+  const values = combo.map(val => toNumber(val && val[field]));
+  const priced = values.filter(value => !isNaN(value));
+
+  if (strategy === 'table' && field === 'price') {
+    const bySku = key.sku !== undefined ? toNumber(pricing.priceTable[key.sku]) : NaN;
+    const tablePrice = isNaN(bySku) ? toNumber(pricing.priceTable[key.title]) : bySku;
+    if (!isNaN(tablePrice)) return tablePrice;
+  }
+
+  if (strategy === 'additive') {
+    const base = toNumber(pricing.basePrice !== undefined ? pricing.basePrice : product.price);
+    const surcharges = combo.map(val => {
+      const surcharge = field === 'price' ? toNumber(val && val.surcharge) : NaN;
+      return isNaN(surcharge) ? toNumber(val && val[field]) : surcharge;
+    }).filter(value => !isNaN(value));
+    if (surcharges.length === 0 && isNaN(base)) return null;
+    return (isNaN(base) ? 0 : base) + surcharges.reduce((sum, value) => sum + value, 0);
+  }
+
+  if (strategy === 'first') {
+    if (priced.length > 0) return priced[0];
+    return field === 'price' && !isNaN(fallback) ? fallback : null;
+  }
+
+  // max, and table combinations missing from the table
+  if (field === 'price') {
+    const prices = values.map(value => (isNaN(value) ? fallback : value)).filter(value => !isNaN(value));
+    return prices.length > 0 ? Math.max(...prices) : null;
+  }
+  return priced.length > 0 ? Math.max(...priced) : null;
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  PricingError,
+  resolvePricing,
+  getShopPricing,
+  saveShopPricing,
+  removeShopPricing,
+  priceCombination
+};
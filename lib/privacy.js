@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./fileStore');
+const tokenStore = require('./tokenStore');
+const productMap = require('./productMap');
+const bulkImport = require('./bulkImport');
+const pricing = require('./pricing');
+const collections = require('./collections');
+
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'privacy-audit.log');
+const EXPORT_DIR = path.join(DATA_DIR, 'privacy-exports');
+
+// Anything that keeps customer or shop data locally registers itself here:
+// { name, exportCustomer(shop, customer), redactCustomer(shop, customer, orderIds), redactShop(shop) }
+// All callbacks are optional and may be async.
+const dataSources = [];
+
+function registerDataSource(source) {
+  dataSources.push(source);
+}
+
+// Append-only JSON-lines audit trail of every privacy request we receive
+function writeAuditRecord(record) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(
+    AUDIT_LOG_PATH,
+    JSON.stringify({ ...record, receivedAt: new Date().toISOString() }) + '\n',
+    { mode: 0o600 }
+  );
+}
+
+// Export files are named <shop>-<customer id>-<request id>.json; the trailing dash keeps
+// one shop's or customer's prefix from matching another's
+function exportPrefix(shop, customer) {
+  return customer ? `${shop}-${customer.id || 'unknown'}-` : `${shop}-`;
+}
+
+// Delete the exports whose name starts with prefix; returns how many were removed
+function removeExports(prefix) {
+  let files;
+  try {
+    files = fs.readdirSync(EXPORT_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const matching = files.filter(file => file.startsWith(prefix));
+  matching.forEach(file => fs.rmSync(path.join(EXPORT_DIR, file), { force: true }));
+  return matching.length;
+}
+
+// customers/data_request: collect everything we hold about the customer into one JSON export
+async function exportCustomerData(shop, payload) {
+  const customer = payload.customer || {};
+  const data = {};
+
+  for (const source of dataSources) {
+    if (source.exportCustomer) {
+      data[source.name] = await source.exportCustomer(shop, customer);
+    }
+  }
+
+  const exportDoc = {
+    shop,
+    customer: { id: customer.id, email: customer.email, phone: customer.phone },
+    ordersRequested: payload.orders_requested || [],
+    dataRequestId: payload.data_request && payload.data_request.id,
+    generatedAt: new Date().toISOString(),
+    data
+  };
+
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+  const fileName = `${exportPrefix(shop, customer)}${exportDoc.dataRequestId || Date.now()}.json`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+  fs.writeFileSync(filePath, JSON.stringify(exportDoc, null, 2), { mode: 0o600 });
+
+  return { filePath, sources: Object.keys(data) };
+}
+
+// customers/redact: delete or anonymize the customer in every local store
+async function redactCustomerData(shop, payload) {
+  const customer = payload.customer || {};
+  const orderIds = payload.orders_to_redact || [];
+  const redacted = [];
+
+  for (const source of dataSources) {
+    if (source.redactCustomer) {
+      await source.redactCustomer(shop, customer, orderIds);
+      redacted.push(source.name);
+    }
+  }
+
+  return { sources: redacted };
+}
+
+// shop/redact: sent 48 hours after uninstall, remove everything we hold for the shop
+async function redactShopData(shop) {
+  const redacted = [];
+
+  for (const source of dataSources) {
+    if (source.redactShop) {
+      await source.redactShop(shop);
+      redacted.push(source.name);
+    }
+  }
+
+  return { sources: redacted };
+}
+
+// The token store holds no customer data, only the shop's install record
+registerDataSource({
+  name: 'shops',
+  redactShop: shop => tokenStore.removeShop(shop)
+});
+
+registerDataSource({
+  name: 'product-map',
+  redactShop: shop => productMap.removeShopMappings(shop)
+});
+
+registerDataSource({
+  name: 'import-jobs',
+  redactShop: shop => bulkImport.removeShopJobs(shop)
+});
+
+registerDataSource({
+  name: 'pricing-settings',
+  redactShop: shop => pricing.removeShopPricing(shop)
+});
+
+registerDataSource({
+  name: 'spade-collections',
+  redactShop: shop => collections.removeShopCollections(shop)
+});
+
+// Our own data_request exports hold the customer's PII, so they go with the customer or shop
+registerDataSource({
+  name: 'privacy-exports',
+  redactCustomer: (shop, customer) => removeExports(exportPrefix(shop, customer)),
+  redactShop: shop => removeExports(exportPrefix(shop))
+});
+
+module.exports = {
+  registerDataSource,
+  writeAuditRecord,
+  exportCustomerData,
+  redactCustomerData,
+  redactShopData
+};
@@ -0,0 +1,363 @@
+const { graphql, mutate, ShopifyApiError, ShopifyUserError } = require('./shopifyClient');
+
+// Above this many variants productSet runs asynchronously and we poll the operation
+const SYNC_VARIANT_LIMIT = 250;
+// Media has to finish processing before it can be attached to a variant
+const MEDIA_READY_TIMEOUT_MS = 60 * 1000;
+const OPERATION_POLL_INTERVAL_MS = 1000;
+const OPERATION_TIMEOUT_MS = 120 * 1000;
+
+// Shopify returns at most this many variants per page; products can have up to 2048
+const VARIANTS_PAGE_SIZE = 250;
+
+const VARIANT_FIELDS = `
+  edges {
+    node {
+      id
+      title
+      price
+      compareAtPrice
+      sku
+      selectedOptions {
+        name
+        value
+      }
+      inventoryItem {
+        id
+        tracked
+      }
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+// Product fields returned by every product write, kept in the edges shape the Django side reads.
+// Only the first page of variants comes back here; withAllVariants fetches the rest.
+const PRODUCT_FIELDS = `
+  id
+  title
+  status
+  tags
+  variants(first: ${VARIANTS_PAGE_SIZE}) {
+    ${VARIANT_FIELDS}
+  }
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Page through the rest of a product's variants so product.variants.edges holds all of them
+async function withAllVariants(shop, product, options) {
+  if (!product || !product.variants) return product;
+
+  const query = `
+    query ProductVariants($id: ID!, $first: Int!, $after: String) {
+      product(id: $id) {
+        variants(first: $first, after: $after) {
+          ${VARIANT_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const edges = [...product.variants.edges];
+  let pageInfo = product.variants.pageInfo;
+  while (pageInfo && pageInfo.hasNextPage) {
+    const data = await graphql(shop, query, { id: product.id, first: VARIANTS_PAGE_SIZE, after: pageInfo.endCursor }, options);
+    if (!data.product) break;
+    edges.push(...data.product.variants.edges);
+    pageInfo = data.product.variants.pageInfo;
+  }
+
+  return { ...product, variants: { edges, pageInfo } };
+}
+
+async function waitForProductSetOperation(shop, operationId, options) {
+  const query = `
+    query ProductSetOperation($id: ID!) {
+      productOperation(id: $id) {
+        ... on ProductSetOperation {
+          id
+          status
+          product {
+            ${PRODUCT_FIELDS}
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    }
+  `;
+
+  const deadline = Date.now() + OPERATION_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const data = await graphql(shop, query, { id: operationId }, options);
+    const operation = data.productOperation;
+
+    if (operation && operation.status === 'COMPLETE') {
+      if (operation.userErrors && operation.userErrors.length > 0) {
+        throw new ShopifyUserError('productSet', operation.userErrors);
+      }
+      return withAllVariants(shop, operation.product, options);
+    }
+
+    await sleep(OPERATION_POLL_INTERVAL_MS);
+  }
+
+  throw new ShopifyApiError(`productSet operation ${operationId} did not complete in time`, { status: 504 });
+}
+
+// Create or update a product with productSet. Pass input.id to update an existing product.
+// Small products are written synchronously; large ones (up to 2048 variants) run as an
+// async operation that we poll until Shopify reports it complete.
+async function setProduct(shop, input, options = {}) {
+  const synchronous = (input.variants || []).length <= SYNC_VARIANT_LIMIT;
+
+  const mutation = `
+    mutation ProductSet($input: ProductSetInput!, $synchronous: Boolean!) {
+      productSet(input: $input, synchronous: $synchronous) {
+        product {
+          ${PRODUCT_FIELDS}
+        }
+        productSetOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { input, synchronous }, 'productSet', options);
+
+  if (synchronous || result.product) {
+    return withAllVariants(shop, result.product, options);
+  }
+
+  return waitForProductSetOperation(shop, result.productSetOperation.id, options);
+}
+
+// Attach media by URL (or staged resourceUrl); Shopify fetches and processes each file asynchronously
+async function createProductMedia(shop, productId, media, options = {}) {
+  const mutation = `
+    mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+      productCreateMedia(productId: $productId, media: $media) {
+        media {
+          id
+          status
+          alt
+          mediaContentType
+          ... on MediaImage {
+            image {
+              url
+            }
+          }
+          ... on Video {
+            sources {
+              url
+              mimeType
+            }
+          }
+          ... on ExternalVideo {
+            embedUrl
+          }
+          ... on Model3d {
+            sources {
+              url
+              mimeType
+            }
+          }
+        }
+        mediaUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, mutation, { productId, media }, options);
+  return data.productCreateMedia;
+}
+
+// Current state of a product, or null if it no longer exists
+async function getProduct(shop, productId, options = {}) {
+  const query = `
+    query Product($id: ID!) {
+      product(id: $id) {
+        ${PRODUCT_FIELDS}
+        media(first: 250) {
+          nodes {
+            id
+            mediaContentType
+            status
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { id: productId }, options);
+  return withAllVariants(shop, data.product, options);
+}
+
+// Poll the product's media until every id in mediaIds is READY (or FAILED).
+// Returns { [mediaId]: status } with whatever state each reached before the timeout.
+async function waitForMediaReady(shop, productId, mediaIds, options = {}) {
+  const query = `
+    query ProductMediaStatus($id: ID!) {
+      product(id: $id) {
+        media(first: 250) {
+          nodes {
+            id
+            status
+          }
+        }
+      }
+    }
+  `;
+
+  const wanted = new Set(mediaIds);
+  const deadline = Date.now() + MEDIA_READY_TIMEOUT_MS;
+  let statuses = {};
+
+  while (true) {
+    const data = await graphql(shop, query, { id: productId }, options);
+    statuses = {};
+    ((data.product && data.product.media.nodes) || [])
+      .filter(node => wanted.has(node.id))
+      .forEach(node => { statuses[node.id] = node.status; });
+
+    const pending = mediaIds.filter(id => !['READY', 'FAILED'].includes(statuses[id]));
+    if (pending.length === 0 || Date.now() >= deadline) return statuses;
+
+    await sleep(OPERATION_POLL_INTERVAL_MS);
+  }
+}
+
+// Attach already-created product media to variants; variantMedia is [{ variantId, mediaIds }]
+async function appendVariantMedia(shop, productId, variantMedia, options = {}) {
+  const mutation = `
+    mutation ProductVariantAppendMedia($productId: ID!, $variantMedia: [ProductVariantAppendMediaInput!]!) {
+      productVariantAppendMedia(productId: $productId, variantMedia: $variantMedia) {
+        productVariants {
+          id
+        }
+        userErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return mutate(shop, mutation, { productId, variantMedia }, 'productVariantAppendMedia', options);
+}
+
+// ACTIVE, DRAFT or ARCHIVED
+async function updateProductStatus(shop, productId, status, options = {}) {
+  const mutation = `
+    mutation ProductUpdateStatus($product: ProductUpdateInput!) {
+      productUpdate(product: $product) {
+        product {
+          id
+          title
+          status
+          updatedAt
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { product: { id: productId, status } }, 'productUpdate', options);
+  return result.product;
+}
+
+// Returns the deleted product's GID
+async function deleteProduct(shop, productId, options = {}) {
+  const mutation = `
+    mutation ProductDelete($input: ProductDeleteInput!) {
+      productDelete(input: $input) {
+        deletedProductId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { input: { id: productId } }, 'productDelete', options);
+  return result.deletedProductId;
+}
+
+// Remove media from a product; returns the ids Shopify deleted
+async function deleteProductMedia(shop, productId, mediaIds, options = {}) {
+  const mutation = `
+    mutation ProductDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { productId, mediaIds }, 'productDeleteMedia', options);
+  return result.deletedMediaIds || [];
+}
+
+// Move media to new positions; moves is [{ id, newPosition }] (positions are 0-based strings).
+// Shopify applies the moves in a background job.
+async function reorderProductMedia(shop, productId, moves, options = {}) {
+  const mutation = `
+    mutation ProductReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+          done
+        }
+        mediaUserErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { id: productId, moves }, 'productReorderMedia', options);
+  return result.job;
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  setProduct,
+  getProduct,
+  updateProductStatus,
+  deleteProduct,
+  createProductMedia,
+  waitForMediaReady,
+  appendVariantMedia,
+  deleteProductMedia,
+  reorderProductMedia
+};
@@ -0,0 +1,399 @@
+// Pure transforms from Spade product payloads to Shopify Admin API inputs.
+// Nothing in here talks to Shopify, so it's shared by create, import and preview paths.
+
+const { priceCombination, DEFAULT_STRATEGY } = require('./pricing');
+const { normalizeInput, InputValidationError, SPADE_PRODUCT_TAG } = require('./inputAdapters');
+const { MAX_VARIANTS } = require('./productValidation');
+const { buildSpadeMetafields, manufacturerName } = require('./metafields');
+const { detectMediaContentType } = require('./mediaTypes');
+
+// Set the base image URL for local Django server
+const base_image_url = process.env.SPADE_HOST_URL || 'http://localhost:8000/media';
+
+// Normalize input to a unified product structure. format names an input adapter
+// (spade-sample, legacy, shopify); it's detected when omitted. Throws InputValidationError.
+function normalizeProductInput(input, format) {
+  return normalizeInput(input, format).product;
+}
+
+// Spade unit names -> Shopify UnitPriceMeasurementMeasuredUnit
+const UNIT_MAP = {
+  ml: 'ML', cl: 'CL', l: 'L', m3: 'M3',
+  mg: 'MG', g: 'G', kg: 'KG',
+  mm: 'MM', cm: 'CM', m: 'M', m2: 'M2',
+  item: 'ITEM', items: 'ITEM', piece: 'ITEM', pieces: 'ITEM', unit: 'ITEM', units: 'ITEM'
+};
+
+// Spade's attribute values carry unit_price without a unit; it prices per piece (its
+// purchase orders quote unit prices in "Pieces"), so that's the unit unless one is given
+const DEFAULT_UNIT = 'item';
+
+// Largest numeric value of `field` across the selected attribute values, or null
+function maxValueField(combo, field) {
+  const values = combo
+    .map(val => (val && val[field] !== undefined && val[field] !== null && val[field] !== '') ? parseFloat(val[field]) : NaN)
+    .filter(value => !isNaN(value));
+  return values.length > 0 ? Math.max(...values) : null;
+}
+
+// Spade gives a price per unit; Shopify wants the quantity in the variant so it can
+// derive that price itself (price / quantityValue per referenceValue of referenceUnit)
+function buildUnitPriceMeasurement(price, unitPrice, unit) {
+  const quantityUnit = unit && UNIT_MAP[String(unit).trim().toLowerCase()];
+  if (!quantityUnit || !unitPrice || unitPrice <= 0 || !price) return undefined;
+
+  return {
+    quantityValue: Math.round((price / unitPrice) * 1000) / 1000,
+    quantityUnit,
+    referenceValue: 1,
+    referenceUnit: quantityUnit
+  };
+}
+
+// Helper to extract options and variants from product JSON.
+// pricing is a strategy from lib/pricing (resolvePricing); defaults to max.
+// Throws InputValidationError when the attributes would produce more than MAX_VARIANTS.
+function buildOptionsAndVariants(product, pricing = { strategy: DEFAULT_STRATEGY }) {
+  // Ensure attributes exist and are valid
+  if (!product.attributes || !Array.isArray(product.attributes) || product.attributes.length === 0) {
+    return { options: [], variants: [], pricing };
+  }
+
+  const options = product.attributes.map(attr => attr.name);
+
+  // Formats that list their variants (e.g. Shopify-like input) keep them and their prices as given
+  if (Array.isArray(product.explicit_variants) && product.explicit_variants.length > 0) {
+    const variants = product.explicit_variants.map(variant => {
+      const price = parseFloat(variant.price);
+      const variantPrice = isNaN(price) ? 0 : price;
+      const comparePrice = parseFloat(variant.compare_price);
+      return {
+        price: variantPrice.toFixed(2),
+        compareAtPrice: !isNaN(comparePrice) && comparePrice > variantPrice ? comparePrice.toFixed(2) : undefined,
+        sku: variant.sku,
+        options: variant.options
+      };
+    });
+    return { options, variants, pricing };
+  }
+
+  // Improved cartesian product function with better error handling
+  function cartesian(arrays) {
+    if (!arrays || arrays.length === 0) return [[]];
+    
+    // Filter out empty arrays and ensure all elements are arrays
+    const validArrays = arrays.filter(arr => Array.isArray(arr) && arr.length > 0);
+    
+    if (validArrays.length === 0) return [[]];
+    if (validArrays.length === 1) return validArrays[0].map(item => [item]);
+    
+    return validArrays.reduce((acc, curr) => {
+      const result = [];
+      for (const accItem of acc) {
+        for (const currItem of curr) {
+          // Ensure accItem is always an array
+          const accArray = Array.isArray(accItem) ? accItem : [accItem];
+          result.push([...accArray, currItem]);
+        }
+      }
+      return result;
+    }, [[]]);
+  }
+
+  // Extract values arrays, ensuring they exist and are valid
+  const valuesList = product.attributes.map(attr => {
+    if (!attr.values || !Array.isArray(attr.values)) {
+      return [{ name: 'Default', price: product.price || '0' }];
+    }
+    return attr.values.filter(val => val && typeof val === 'object');
+  });
+
+  // Count the combinations before generating them, so oversized attribute lists are
+  // rejected without building millions of arrays
+  const variantCount = valuesList.reduce((count, values) => count * Math.max(values.length, 1), 1);
+  if (variantCount > MAX_VARIANTS) {
+    throw new InputValidationError(null, [{
+      field: 'variants',
+      code: 'TOO_MANY_VARIANTS',
+      message: `Shopify allows at most ${MAX_VARIANTS} variants, these attributes produce ${variantCount}`
+    }]);
+  }
+
+  // Generate combinations
+  const combinations = cartesian(valuesList);
+
+  const variants = combinations.map((combo) => {
+    // Ensure combo is an array
+    if (!Array.isArray(combo)) {
+      console.warn('Invalid combo detected:', combo);
+      return null;
+    }
+
+    // Extract SKUs if available
+    const skus = combo
+      .map(val => val && val.sku ? val.sku : null)
+      .filter(Boolean);
+    const sku = skus.length > 0 ? skus.join('-') : undefined;
+
+    // Extract option names
+    const optionNames = combo.map(val => {
+      if (val && typeof val === 'object' && val.name) {
+        return val.name;
+      }
+      return 'Default';
+    });
+
+    // Calculate price for this variant combination using the resolved pricing strategy
+    const key = { sku, title: optionNames.join(' / ') };
+    const resolvedPrice = priceCombination(combo, 'price', pricing, product, key);
+    const variantPrice = resolvedPrice !== null && !isNaN(resolvedPrice) ? resolvedPrice : 0;
+
+    // Compare-at price follows the same rule, and is only kept when it's an actual markdown
+    const comparePrice = priceCombination(combo, 'compare_price', pricing, product, key);
+    const unitPrice = maxValueField(combo, 'unit_price');
+    const unitValue = combo.find(val => val && val.unit);
+    const unit = (unitValue ? unitValue.unit : product.unit) || DEFAULT_UNIT;
+
+    return {
+      price: variantPrice.toFixed(2),
+      compareAtPrice: comparePrice !== null && comparePrice > variantPrice ? comparePrice.toFixed(2) : undefined,
+      unitPriceMeasurement: buildUnitPriceMeasurement(variantPrice, unitPrice, unit),
+      sku: sku,
+      options: optionNames
+    };
+  }).filter(variant => variant !== null); // Remove any null variants
+
+  // If no valid variants were created, create a default one
+  if (variants.length === 0) {
+    variants.push({
+      price: (parseFloat(product.price || '0')).toFixed(2),
+      sku: undefined,
+      options: options.map(() => 'Default')
+    });
+  }
+
+  return { options, variants, pricing };
+}
+
+// Helper to turn a Spade media entry into an absolute URL
+function resolveMediaUrl(m) {
+  let mediaUrl = m.media || m.image || '';
+  
+  // Check if URL is already complete
+  if (!mediaUrl.startsWith('http')) {
+    // Handle relative URLs
+    if (mediaUrl.startsWith('/media/')) {
+      mediaUrl = `${base_image_url}${mediaUrl}`;
+    } else {
+      mediaUrl = `${base_image_url}/${mediaUrl}`;
+    }
+  }
+
+  return normalizeMediaUrl(mediaUrl);
+}
+
+// Canonical form of a media URL so the same file isn't seen as two: lowercase scheme and
+// host, no default port, no fragment, no repeated slashes in the path
+function normalizeMediaUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+// Shopify caps alt text at 512 characters
+const MAX_ALT_LENGTH = 512;
+
+// Alt text: the entry's own, else the product title plus the attribute value it shows
+function buildAltText(product, m) {
+  const alt = m.alt || [product.title, m.value].filter(Boolean).join(' - ');
+  return alt ? String(alt).slice(0, MAX_ALT_LENGTH) : undefined;
+}
+
+// Helper to build media array for mutation, prefixing relative URLs. The content type
+// (IMAGE, VIDEO, EXTERNAL_VIDEO or MODEL_3D) comes from the URL or MIME type, and
+// featured media goes first so it becomes the product's main image. A URL that appears
+// more than once (e.g. a photo shared by several attribute values) is only kept once.
+function buildMedia(product) {
+  if (!product.media || product.media.length === 0) return [];
+
+  const ordered = [
+    ...product.media.filter(m => m.is_featured),
+    ...product.media.filter(m => !m.is_featured)
+  ];
+
+  const seen = new Set();
+  return ordered.filter(m => {
+    const source = resolveMediaUrl(m);
+    if (seen.has(source)) return false;
+    seen.add(source);
+    return true;
+  }).map(m => {
+    const originalSource = resolveMediaUrl(m);
+    const media = {
+      mediaContentType: detectMediaContentType(originalSource, m.mime_type),
+      originalSource
+    };
+    const alt = buildAltText(product, m);
+    if (alt) media.alt = alt;
+    return media;
+  });
+}
+
+// Which image each variant should show: the first image belonging to one of its
+// selected attribute values, checked in option order (so color wins over size).
+// Returns [{ options, title, source }] keyed by the same URL buildMedia produces.
+function buildVariantMediaLinks(product, options, variants) {
+  // Variants can only show images
+  const valueMedia = (product.media || []).filter(m =>
+    m.attribute && m.value && detectMediaContentType(resolveMediaUrl(m), m.mime_type) === 'IMAGE'
+  );
+  if (valueMedia.length === 0) return [];
+
+  return variants.map(variant => {
+    for (let i = 0; i < options.length; i++) {
+      const match = valueMedia.find(m => m.attribute === options[i] && m.value === variant.options[i]);
+      if (match) {
+        return { options: variant.options, title: variant.options.join(' / '), source: resolveMediaUrl(match) };
+      }
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+// Lowercase, hyphen-separated form of a name, as used in Shopify handles
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+}
+
+// Which store and manufacturer collections a normalized product belongs in: [{ kind, value }].
+// The value doubles as the tag the collection's rule matches, so buildProductSetInput adds it
+// to the tags and lib/collections creates the collections themselves.
+function collectionGroups(product) {
+  const groups = [];
+  const storeName = product.store && product.store.name;
+  if (storeName && String(storeName).trim()) {
+    groups.push({ kind: 'store', value: String(storeName).trim() });
+  }
+  const manufacturer = manufacturerName(product);
+  if (manufacturer && manufacturer.trim()) {
+    groups.push({ kind: 'manufacturer', value: manufacturer.trim() });
+  }
+  return groups;
+}
+
+// Shopify's placeholder option for products without variants
+const DEFAULT_OPTION_NAME = 'Title';
+const DEFAULT_OPTION_VALUE = 'Default Title';
+
+// Stock for one variant. Spade sends either a single number (used for every variant)
+// or an object keyed by variant SKU or option title ("orange / Large").
+function resolveVariantQuantity(stock, variant) {
+  if (stock === undefined || stock === null) return null;
+
+  if (typeof stock === 'object') {
+    const title = (variant.options || []).join(' / ');
+    const value = (variant.sku && stock[variant.sku] !== undefined) ? stock[variant.sku] : stock[title];
+    const quantity = parseInt(value, 10);
+    return isNaN(quantity) ? null : quantity;
+  }
+
+  const quantity = parseInt(stock, 10);
+  return isNaN(quantity) ? null : quantity;
+}
+
+// Map a normalized product plus buildOptionsAndVariants output onto productSet's
+// ProductSetInput: options carry their values and each variant references them by name.
+// When settings.locationId is given, starting stock is set inline (only valid on create).
+function buildProductSetInput(product, options, variants, settings = {}) {
+  const tracked = product.stock !== undefined && product.stock !== null;
+
+  // Inventory tracking plus, if we know where, the starting quantity
+  function applyInventory(variantInput, variant) {
+    if (!tracked) return variantInput;
+
+    variantInput.inventoryItem = { ...(variantInput.inventoryItem || {}), tracked: true };
+    const quantity = resolveVariantQuantity(product.stock, variant);
+    if (settings.locationId && quantity !== null) {
+      variantInput.inventoryQuantities = [{ locationId: settings.locationId, name: 'available', quantity }];
+    }
+    return variantInput;
+  }
+
+  // Store and manufacturer names are tags so their smart collections pick the product up.
+  // The marker tag goes on whatever the input format, since those collections require it too.
+  const tags = [SPADE_PRODUCT_TAG, ...(product.tags || []), ...collectionGroups(product).map(group => group.value)];
+  const input = {
+    title: product.title,
+    tags: [...new Set(tags.filter(tag => tag && String(tag).trim()).map(tag => String(tag).trim()))]
+  };
+
+  if (product.description) {
+    input.descriptionHtml = product.description;
+  }
+
+  // An explicit status wins; is_active only chooses between ACTIVE and DRAFT
+  if (product.status) {
+    input.status = product.status;
+  } else if (product.is_active !== undefined) {
+    input.status = product.is_active ? 'ACTIVE' : 'DRAFT';
+  }
+
+  // Spade ids, manufacturer, store and price range under the `spade` namespace
+  const metafields = buildSpadeMetafields(product);
+  if (metafields.length > 0) {
+    input.metafields = metafields;
+  }
+
+  if (options.length === 0) {
+    input.productOptions = [{ name: DEFAULT_OPTION_NAME, values: [{ name: DEFAULT_OPTION_VALUE }] }];
+    input.variants = [applyInventory({
+      optionValues: [{ optionName: DEFAULT_OPTION_NAME, name: DEFAULT_OPTION_VALUE }],
+      price: (parseFloat(product.price || '0') || 0).toFixed(2)
+    }, { options: [DEFAULT_OPTION_VALUE] })];
+    return input;
+  }
+
+  // Option values in first-seen order across the variant combinations
+  input.productOptions = options.map((name, index) => ({
+    name,
+    position: index + 1,
+    values: [...new Set(variants.map(v => v.options[index]))].map(value => ({ name: value }))
+  }));
+
+  input.variants = variants.map(variant => {
+    const variantInput = {
+      optionValues: variant.options.map((value, index) => ({ optionName: options[index], name: value })),
+      price: variant.price
+    };
+    if (variant.compareAtPrice) {
+      variantInput.compareAtPrice = variant.compareAtPrice;
+    }
+    if (variant.unitPriceMeasurement) {
+      variantInput.unitPriceMeasurement = variant.unitPriceMeasurement;
+    }
+    if (variant.sku) {
+      variantInput.inventoryItem = { sku: variant.sku };
+    }
+    return applyInventory(variantInput, variant);
+  });
+
+  return input;
+}
+
+module.exports = {
+  SPADE_MEDIA_URL: base_image_url,
+  normalizeProductInput,
+  buildOptionsAndVariants,
+  buildMedia,
+  buildVariantMediaLinks,
+  buildSpadeMetafields,
+  resolveVariantQuantity,
+  slugify,
+  collectionGroups,
+  buildProductSetInput
+};
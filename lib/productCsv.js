@@ -0,0 +1,383 @@
+// Shopify's product CSV (Admin > Products > Import/Export) to and from Spade products.
+// Export builds rows with the same transforms as create and preview, so the sheet shows
+// what we'd send; import turns a sheet back into normalized products for create or upsert.
+// Nothing in here talks to Shopify, so it also works offline (see scripts/product-csv.js).
+
+const {
+  normalizeProductInput,
+  buildOptionsAndVariants,
+  buildMedia,
+  buildVariantMediaLinks,
+  buildProductSetInput,
+  resolveVariantQuantity,
+  slugify
+} = require('./productBuilder');
+const { normalizeInput, InputValidationError } = require('./inputAdapters');
+const { SPADE_NAMESPACE, SPADE_METAFIELDS, manufacturerName, readSpadeMetafields } = require('./metafields');
+
+const MAX_CSV_OPTIONS = 3;
+
+// Spade metafields get Shopify's "Name (product.metafields.namespace.key)" columns
+const METAFIELD_COLUMNS = SPADE_METAFIELDS.map(field => ({
+  key: field.key,
+  type: field.type,
+  column: `${field.name} (product.metafields.${SPADE_NAMESPACE}.${field.key})`
+}));
+
+const COLUMNS = [
+  'Handle',
+  'Title',
+  'Body (HTML)',
+  'Vendor',
+  'Type',
+  'Tags',
+  'Published',
+  'Option1 Name',
+  'Option1 Value',
+  'Option2 Name',
+  'Option2 Value',
+  'Option3 Name',
+  'Option3 Value',
+  'Variant SKU',
+  'Variant Inventory Tracker',
+  'Variant Inventory Qty',
+  'Variant Inventory Policy',
+  'Variant Fulfillment Service',
+  'Variant Price',
+  'Variant Compare At Price',
+  'Variant Requires Shipping',
+  'Variant Taxable',
+  'Image Src',
+  'Image Position',
+  'Image Alt Text',
+  'Variant Image',
+  'Status',
+  ...METAFIELD_COLUMNS.map(m => m.column)
+];
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\n') + '\n';
+}
+
+// RFC 4180 parsing: quoted cells may hold commas, quotes ("") and line breaks.
+// Returns one object per data row keyed by the header row.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+  const names = header.map(name => name.trim());
+  return rows.map(cells => {
+    const row = {};
+    names.forEach((name, index) => { row[name] = cells[index] !== undefined ? cells[index] : ''; });
+    return row;
+  });
+}
+
+// A handle from the title, suffixed when another product in the same export already has it
+function uniqueHandle(title, used) {
+  const base = slugify(title);
+  let handle = base;
+  for (let n = 2; used.has(handle); n++) {
+    handle = `${base}-${n}`;
+  }
+  used.add(handle);
+  return handle;
+}
+
+// CSV rows for one Spade product: one per variant, with images spread over those rows and
+// any left over on rows of their own, as Shopify's exporter does. Only images fit the CSV;
+// videos and 3D models are skipped.
+function productRows(rawProduct, pricing, format, usedHandles) {
+  const product = normalizeProductInput(rawProduct, format);
+  const { options, variants } = buildOptionsAndVariants(product, pricing);
+  if (options.length > MAX_CSV_OPTIONS) {
+    throw new Error(`Shopify's CSV holds at most ${MAX_CSV_OPTIONS} options; this product has ${options.length}`);
+  }
+
+  const input = buildProductSetInput(product, options, variants);
+  const images = buildMedia(product).filter(m => m.mediaContentType === 'IMAGE');
+  const variantImages = {};
+  buildVariantMediaLinks(product, options, variants).forEach(link => { variantImages[link.title] = link.source; });
+
+  const handle = uniqueHandle(product.title, usedHandles);
+  const optionNames = input.productOptions.map(option => option.name);
+  const tracked = product.stock !== undefined && product.stock !== null;
+  const status = (input.status || 'ACTIVE').toLowerCase();
+
+  // buildProductSetInput supplies the Title / Default Title variant for products without options
+  const csvVariants = options.length > 0
+    ? variants
+    : [{ price: input.variants[0].price, options: input.variants[0].optionValues.map(v => v.name) }];
+
+  const rows = csvVariants.map((variant, index) => {
+    const row = { Handle: handle };
+    if (index === 0) {
+      Object.assign(row, {
+        Title: product.title,
+        'Body (HTML)': product.description,
+        Vendor: manufacturerName(product),
+        Tags: input.tags.join(', '),
+        Published: status === 'active' ? 'TRUE' : 'FALSE',
+        Status: status
+      });
+      (input.metafields || []).forEach(metafield => {
+        const column = METAFIELD_COLUMNS.find(m => m.key === metafield.key);
+        if (column) row[column.column] = metafield.value;
+      });
+    }
+
+    optionNames.forEach((name, optionIndex) => {
+      if (index === 0) row[`Option${optionIndex + 1} Name`] = name;
+      row[`Option${optionIndex + 1} Value`] = variant.options[optionIndex];
+    });
+
+    const quantity = tracked ? resolveVariantQuantity(product.stock, variant) : null;
+    Object.assign(row, {
+      'Variant SKU': variant.sku,
+      'Variant Inventory Tracker': tracked ? 'shopify' : '',
+      'Variant Inventory Qty': quantity !== null ? quantity : '',
+      'Variant Inventory Policy': 'deny',
+      'Variant Fulfillment Service': 'manual',
+      'Variant Price': variant.price,
+      'Variant Compare At Price': variant.compareAtPrice,
+      'Variant Requires Shipping': 'TRUE',
+      'Variant Taxable': 'TRUE',
+      'Variant Image': variantImages[variant.options.join(' / ')]
+    });
+    return row;
+  });
+
+  images.forEach((image, index) => {
+    if (!rows[index]) rows.push({ Handle: handle });
+    Object.assign(rows[index], {
+      'Image Src': image.originalSource,
+      'Image Position': index + 1,
+      'Image Alt Text': image.alt
+    });
+  });
+
+  return rows;
+}
+
+// Shopify product CSV for an array of Spade products (all in format, or each detected).
+// Returns { csv, rows, errors } where errors is [{ index, id, error, errors? }] for
+// products that couldn't be converted; the rest are still exported.
+function exportProductsCsv(products, pricing, format) {
+  const usedHandles = new Set();
+  const rows = [];
+  const errors = [];
+
+  products.forEach((rawProduct, index) => {
+    try {
+      rows.push(...productRows(rawProduct, pricing, format, usedHandles));
+    } catch (error) {
+      const failure = { index, id: rawProduct && rawProduct.id, error: error.message };
+      if (error instanceof InputValidationError) failure.errors = error.errors;
+      errors.push(failure);
+    }
+  });
+
+  return { csv: toCsv(rows), rows: rows.length, errors };
+}
+
+function parseFlag(value) {
+  return String(value).trim().toUpperCase() === 'TRUE';
+}
+
+// Normalized product from the rows sharing one handle; option values, prices, SKUs and
+// stock come from variant rows and media from Image Src / Variant Image.
+function rowsToProduct(handle, rows) {
+  const first = rows[0];
+  const optionNames = [1, 2, 3]
+    .map(n => (first[`Option${n} Name`] || '').trim())
+    .filter(Boolean);
+  const variantRows = rows.filter(row => (row['Variant Price'] || '').trim() !== '' || (row['Option1 Value'] || '').trim() !== '');
+  const variants = variantRows.map(row => ({
+    options: optionNames.map((name, index) => (row[`Option${index + 1} Value`] || '').trim()),
+    price: (row['Variant Price'] || '').trim(),
+    compare_price: (row['Variant Compare At Price'] || '').trim() || undefined,
+    sku: (row['Variant SKU'] || '').trim() || undefined,
+    quantity: row['Variant Inventory Tracker'] && (row['Variant Inventory Qty'] || '').trim() !== ''
+      ? parseInt(row['Variant Inventory Qty'], 10)
+      : undefined
+  }));
+
+  // Shopify's placeholder option means the product has no real options
+  const hasOptions = optionNames.length > 0 &&
+    !(optionNames.length === 1 && optionNames[0] === 'Title' && variants.every(v => v.options[0] === 'Default Title'));
+
+  const product = {
+    title: first.Title,
+    description: first['Body (HTML)'] || undefined,
+    price: variants.length > 0 ? variants[0].price : undefined,
+    tags: (first.Tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    attributes: [],
+    media: []
+  };
+
+  if (first.Status) {
+    product.status = first.Status.trim();
+  } else if (first.Published) {
+    product.is_active = parseFlag(first.Published);
+  }
+
+  if (hasOptions) {
+    product.attributes = optionNames.map((name, index) => ({
+      name,
+      values: [...new Set(variants.map(v => v.options[index]))].map(value => ({ name: value }))
+    }));
+    product.explicit_variants = variants.map(({ quantity, ...variant }) => variant);
+  }
+
+  const stocked = variants.filter(v => v.quantity !== undefined && !isNaN(v.quantity));
+  if (stocked.length > 0) {
+    if (hasOptions) {
+      product.stock = {};
+      stocked.forEach(v => { product.stock[v.options.join(' / ')] = v.quantity; });
+    } else {
+      product.stock = stocked[0].quantity;
+    }
+  }
+
+  // Images in position order; the first is the featured one
+  rows
+    .filter(row => (row['Image Src'] || '').trim())
+    .map((row, index) => ({ row, position: parseInt(row['Image Position'], 10) || index + 1 }))
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ row }, index) => {
+      const entry = { media: row['Image Src'].trim(), is_featured: index === 0 };
+      if (row['Image Alt Text']) entry.alt = row['Image Alt Text'];
+      product.media.push(entry);
+    });
+
+  // Variant images are tied back to the variant's first option value, which is how
+  // buildVariantMediaLinks picks them (e.g. one photo per colour)
+  if (hasOptions) {
+    variantRows.forEach((row, index) => {
+      const source = (row['Variant Image'] || '').trim();
+      const value = variants[index].options[0];
+      if (!source || product.media.some(m => m.media === source && m.value === value)) return;
+
+      const image = product.media.find(m => m.media === source && !m.attribute);
+      if (image) {
+        Object.assign(image, { attribute: optionNames[0], value });
+      } else {
+        product.media.push({ media: source, attribute: optionNames[0], value });
+      }
+    });
+  }
+
+  // Spade metadata from the metafield columns
+  const spade = readSpadeMetafields(METAFIELD_COLUMNS
+    .filter(m => (first[m.column] || '').trim() !== '')
+    .map(m => ({ key: m.key, type: m.type, value: first[m.column].trim() })));
+  if (spade.product_id !== undefined) product.id = spade.product_id;
+  if (spade.sample_id !== undefined) product.sample_id = spade.sample_id;
+  if (spade.price_range !== undefined) product.price_range = spade.price_range;
+  if (spade.store_id !== undefined || spade.store_name !== undefined) {
+    product.store = { id: spade.store_id, name: spade.store_name };
+  }
+  const vendor = spade.manufacturer_name || (first.Vendor || '').trim();
+  if (vendor || spade.manufacturer_email || spade.manufacturer_phone) {
+    product.manufacturer = {
+      first_name: vendor || undefined,
+      email: spade.manufacturer_email,
+      phone_number: spade.manufacturer_phone
+    };
+  }
+
+  // A missing price would otherwise reach Shopify as a free product
+  const errors = [];
+  if (!product.title) {
+    errors.push({ field: `${handle}.Title`, message: 'is required on the first row of a product' });
+  }
+  if (variants.length === 0) {
+    errors.push({ field: `${handle}.Variant Price`, message: 'is required; the product has no variant rows' });
+  }
+  variants.filter(variant => !variant.price).forEach(variant => {
+    const message = hasOptions ? `is required for variant "${variant.options.join(' / ')}"` : 'is required';
+    errors.push({ field: `${handle}.Variant Price`, message });
+  });
+  if (errors.length > 0) {
+    throw new InputValidationError('csv', errors);
+  }
+
+  return product;
+}
+
+// Normalized products from a Shopify product CSV, ready for create or upsert with
+// format "legacy". Rows are grouped by Handle. Returns { products, errors } where errors
+// is [{ handle, error, errors? }] for products that didn't make a valid product.
+function importProductsCsv(text) {
+  const groups = new Map();
+  parseCsv(text).forEach(row => {
+    const handle = (row.Handle || '').trim();
+    if (!handle) return;
+    if (!groups.has(handle)) groups.set(handle, []);
+    groups.get(handle).push(row);
+  });
+
+  const products = [];
+  const errors = [];
+  groups.forEach((rows, handle) => {
+    try {
+      products.push(normalizeInput(rowsToProduct(handle, rows), 'legacy').product);
+    } catch (error) {
+      const failure = { handle, error: error.message };
+      if (error instanceof InputValidationError) failure.errors = error.errors;
+      errors.push(failure);
+    }
+  });
+
+  return { products, errors };
+}
+
+module.exports = {
+  COLUMNS,
+  parseCsv,
+  exportProductsCsv,
+  importProductsCsv
+};
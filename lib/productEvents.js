@@ -0,0 +1,54 @@
+const productMap = require('./productMap');
+const { notifySpade } = require('./spadeNotifier');
+
+function toProductGid(payload) {
+  return payload.admin_graphql_api_id || `gid://shopify/Product/${payload.id}`;
+}
+
+// products/update fires for our own writes too. Only a status that differs from the one
+// we last wrote (kept on the mapping) is a merchant edit worth reporting to Spade.
+async function handleProductUpdate({ shop, payload }) {
+  const productId = toProductGid(payload);
+  const mapping = productMap.findByProductId(shop, productId);
+  if (!mapping || !payload.status) return;
+
+  const status = String(payload.status).toUpperCase();
+  const { spadeId, ...record } = mapping;
+  if (record.status === status) return;
+
+  // Unknown until now (e.g. bulk imports): remember it without reporting
+  if (record.status) {
+    await notifySpade({
+      event: 'product.status_changed',
+      shop,
+      spadeProductId: spadeId,
+      shopifyProductId: productId,
+      previousStatus: record.status,
+      status,
+      updatedAt: payload.updated_at
+    });
+  }
+
+  productMap.saveMapping(shop, spadeId, { ...record, status });
+}
+
+// Deletes made through our own DELETE endpoint have already dropped the mapping
+async function handleProductDelete({ shop, payload }) {
+  const productId = toProductGid(payload);
+  const mapping = productMap.findByProductId(shop, productId);
+  if (!mapping) return;
+
+  await notifySpade({
+    event: 'product.deleted',
+    shop,
+    spadeProductId: mapping.spadeId,
+    shopifyProductId: productId
+  });
+
+  productMap.removeMapping(shop, mapping.spadeId);
+}
+
+module.exports = {
+  handleProductUpdate,
+  handleProductDelete
+};
@@ -0,0 +1,43 @@
+const { createFileStore } = require('./fileStore');
+
+// `${shop}|${spadeProductId}` -> { productId, inputHash, media: [{ source, hash, mediaId }], status, syncedAt }
+// The Spade id is also written to the spade.product_id metafield; this table is the
+// fast lookup so upserts don't have to search the shop's catalog.
+const store = createFileStore('product-map');
+
+function mapKey(shop, spadeId) {
+  return `${shop}|${spadeId}`;
+}
+
+function getMapping(shop, spadeId) {
+  if (spadeId === undefined || spadeId === null) return null;
+  return store.get(mapKey(shop, spadeId)) || null;
+}
+
+function saveMapping(shop, spadeId, mapping) {
+  if (spadeId === undefined || spadeId === null) return null;
+  return store.set(mapKey(shop, spadeId), { ...mapping, syncedAt: new Date().toISOString() });
+}
+
+function removeMapping(shop, spadeId) {
+  return store.delete(mapKey(shop, spadeId));
+}
+
+// Reverse lookup from a Shopify product GID
+function findByProductId(shop, productId) {
+  const prefix = `${shop}|`;
+  const entry = store.entries().find(([key, value]) => key.startsWith(prefix) && value.productId === productId);
+  return entry ? { spadeId: entry[0].slice(prefix.length), ...entry[1] } : null;
+}
+
+function removeShopMappings(shop) {
+  return store.prune((value, key) => key.startsWith(`${shop}|`));
+}
+
+module.exports = {
+  getMapping,
+  saveMapping,
+  removeMapping,
+  findByProductId,
+  removeShopMappings
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const {
+  normalizeProductInput,
+  buildOptionsAndVariants,
+  buildMedia,
+  buildVariantMediaLinks,
+  buildProductSetInput
+} = require('./productBuilder');
+const {
+  setProduct,
+  getProduct,
+  waitForMediaReady,
+  appendVariantMedia,
+  deleteProductMedia,
+  reorderProductMedia
+} = require('./productApi');
+const { uploadProductMedia } = require('./mediaUpload');
+const productMap = require('./productMap');
+const { syncProductInventory } = require('./inventory');
+const { assignProductCollections } = require('./collections');
+const { registerProductTranslations } = require('./translations');
+
+function hashInput(input, media, stock, translations) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ input, media: media.map(m => m.originalSource), stock, translations }))
+    .digest('hex');
+}
+
+function optionKey(values) {
+  return values.join('\u0000');
+}
+
+// Reuse existing variant ids where the option combination is unchanged, so productSet
+// updates those variants in place instead of deleting and recreating them
+function attachVariantIds(input, existingProduct) {
+  const optionNames = input.productOptions.map(o => o.name);
+  const existingIds = {};
+
+  existingProduct.variants.edges.forEach(({ node }) => {
+    const byName = {};
+    node.selectedOptions.forEach(o => { byName[o.name] = o.value; });
+    existingIds[optionKey(optionNames.map(name => byName[name]))] = node.id;
+  });
+
+  input.variants.forEach(variant => {
+    const id = existingIds[optionKey(variant.optionValues.map(v => v.name))];
+    if (id) variant.id = id;
+  });
+}
+
+// Attach each variant's image (from buildVariantMediaLinks) once the media exists.
+// files is uploadProductMedia's per-file report, which maps each source URL to its media id.
+// Returns one entry per linked variant: { variantId, title, mediaId, source, attached, error? }.
+async function linkVariantMedia(shop, product, links, files, options = {}) {
+  if (links.length === 0 || !files) return [];
+
+  const mediaIdBySource = {};
+  files.forEach(file => {
+    if (file.mediaId && !mediaIdBySource[file.source]) {
+      mediaIdBySource[file.source] = file.mediaId;
+    }
+  });
+
+  const variantIdByTitle = {};
+  product.variants.edges.forEach(({ node }) => {
+    variantIdByTitle[node.selectedOptions.map(o => o.value).join(' / ')] = node.id;
+  });
+
+  const planned = links
+    .map(link => ({
+      variantId: variantIdByTitle[link.title],
+      title: link.title,
+      mediaId: mediaIdBySource[link.source],
+      source: link.source
+    }))
+    .filter(link => link.variantId && link.mediaId);
+  if (planned.length === 0) return [];
+
+  const statuses = await waitForMediaReady(shop, product.id, [...new Set(planned.map(l => l.mediaId))], options);
+  const ready = planned.filter(link => statuses[link.mediaId] === 'READY');
+  const notReady = planned
+    .filter(link => statuses[link.mediaId] !== 'READY')
+    .map(link => ({ ...link, attached: false, error: `Media status is ${statuses[link.mediaId] || 'UNKNOWN'}` }));
+
+  if (ready.length === 0) return notReady;
+
+  try {
+    await appendVariantMedia(shop, product.id, ready.map(l => ({ variantId: l.variantId, mediaIds: [l.mediaId] })), options);
+    return [...ready.map(link => ({ ...link, attached: true })), ...notReady];
+  } catch (error) {
+    console.error('Variant media error:', error.details || error.message);
+    return [...ready.map(link => ({ ...link, attached: false, error: error.message })), ...notReady];
+  }
+}
+
+// [{ source, hash, mediaId }] for media that made it onto the product, so later upserts
+// can tell what's already there. Duplicates are included, pointing at the shared media.
+function mediaRecords(mediaResponse) {
+  if (!mediaResponse) return [];
+  return mediaResponse.files
+    .filter(file => file.status !== 'failed' && file.mediaId)
+    .map(file => ({ source: file.source, hash: file.hash || null, mediaId: file.mediaId }));
+}
+
+// Media records from a mapping; older mappings only kept the source URLs
+function mappedMedia(mapping) {
+  if (!mapping) return [];
+  if (mapping.media) return mapping.media;
+  return (mapping.mediaSources || []).map(source => ({ source, hash: null, mediaId: null }));
+}
+
+// Compare the media we want with what we attached last time and what's still on the product.
+// Returns { kept, removed, newMedia, knownHashes }: records to keep, records whose source was
+// dropped (and whose media can be deleted), media still to upload, and { hash: mediaId } of kept files.
+function diffMedia(media, previous, existingProduct) {
+  const wanted = new Set(media.map(m => m.originalSource));
+  const onProduct = new Set(existingProduct && existingProduct.media
+    ? existingProduct.media.nodes.map(node => node.id)
+    : []);
+
+  // Records without a media id predate id tracking; trust that they're still attached
+  const stillAttached = record => !record.mediaId || onProduct.has(record.mediaId);
+  const kept = previous.filter(record => wanted.has(record.source) && stillAttached(record));
+  const keptIds = new Set(kept.map(record => record.mediaId).filter(Boolean));
+  const removed = previous.filter(record =>
+    !wanted.has(record.source) && record.mediaId && onProduct.has(record.mediaId) && !keptIds.has(record.mediaId)
+  );
+
+  const keptSources = new Set(kept.map(record => record.source));
+  const knownHashes = {};
+  kept.forEach(record => {
+    if (record.hash && record.mediaId) knownHashes[record.hash] = record.mediaId;
+  });
+
+  return {
+    kept,
+    removed,
+    newMedia: media.filter(m => !keptSources.has(m.originalSource)),
+    knownHashes
+  };
+}
+
+// Put our media in buildMedia's order (featured first) at the front of the product's media.
+// currentIds is the product's media order after uploads; returns the moves made, if any.
+async function reorderMedia(shop, productId, media, records, currentIds, options) {
+  const idBySource = {};
+  records.forEach(record => {
+    if (record.mediaId) idBySource[record.source] = record.mediaId;
+  });
+  const desired = [...new Set(media.map(m => idBySource[m.originalSource]).filter(Boolean))];
+  const current = currentIds.filter(id => desired.includes(id));
+
+  if (desired.every((id, index) => current[index] === id)) return [];
+
+  const moves = desired.map((id, index) => ({ id, newPosition: String(index) }));
+  await reorderProductMedia(shop, productId, moves, options);
+  return moves;
+}
+
+// Create the Shopify product for a Spade product, or update the one created earlier.
+// options.pricing is the resolved pricing strategy and options.format the input format; the rest is passed to the GraphQL client.
+// Returns { status: 'created' | 'updated' | 'unchanged', product, inventory, media, removedMedia,
+// mediaMoves, variantMedia, collections, translations, normalizedProduct }.
+async function upsertProduct(shop, rawProduct, options = {}) {
+  const normalizedProduct = normalizeProductInput(rawProduct, options.format);
+  const spadeId = normalizedProduct.id;
+
+  if (spadeId === undefined || spadeId === null) {
+    throw new Error('Product id is required for upsert');
+  }
+
+  const { options: optionNames, variants } = buildOptionsAndVariants(normalizedProduct, options.pricing);
+  const media = buildMedia(normalizedProduct);
+  const input = buildProductSetInput(normalizedProduct, optionNames, variants);
+  const inputHash = hashInput(input, media, normalizedProduct.stock, normalizedProduct.translations);
+
+  const mapping = productMap.getMapping(shop, spadeId);
+  const existingProduct = mapping ? await getProduct(shop, mapping.productId, options) : null;
+
+  if (existingProduct && mapping.inputHash === inputHash) {
+    return {
+      status: 'unchanged',
+      product: existingProduct,
+      inventory: null,
+      media: null,
+      removedMedia: [],
+      mediaMoves: [],
+      variantMedia: [],
+      collections: [],
+      translations: [],
+      normalizedProduct
+    };
+  }
+
+  if (existingProduct) {
+    input.id = existingProduct.id;
+    attachVariantIds(input, existingProduct);
+  }
+
+  const product = await setProduct(shop, input, options);
+
+  // products/update fires as soon as productSet lands, so record the status we wrote before
+  // the slow steps below; the hash stays unset until everything has gone through
+  productMap.saveMapping(shop, spadeId, {
+    productId: product.id,
+    inputHash: null,
+    media: existingProduct ? mappedMedia(mapping) : [],
+    status: product.status
+  });
+
+  let inventory = null;
+  let inventoryFailed = false;
+  if (normalizedProduct.stock !== undefined && normalizedProduct.stock !== null) {
+    try {
+      inventory = await syncProductInventory(shop, product, normalizedProduct.stock, options);
+    } catch (inventoryError) {
+      inventoryFailed = true;
+      inventory = { error: inventoryError.message, details: inventoryError.details };
+      console.error('Inventory sync error:', inventoryError.details || inventoryError.message);
+    }
+  }
+
+  // Only upload media that isn't already on this product, and drop media Spade no longer lists
+  const { kept, removed, newMedia, knownHashes } = diffMedia(
+    media,
+    existingProduct ? mappedMedia(mapping) : [],
+    existingProduct
+  );
+
+  let mediaResponse = null;
+  let mediaFailed = false;
+  let variantMedia = [];
+  let removedMedia = [];
+  let mediaMoves = [];
+  try {
+    if (removed.length > 0) {
+      const deletedIds = await deleteProductMedia(shop, product.id, [...new Set(removed.map(r => r.mediaId))], options);
+      removedMedia = removed.filter(record => deletedIds.includes(record.mediaId));
+    }
+
+    if (newMedia.length > 0) {
+      mediaResponse = await uploadProductMedia(shop, product.id, newMedia, options, knownHashes);
+      mediaFailed = mediaResponse.files.some(file => file.status === 'failed');
+      const links = buildVariantMediaLinks(normalizedProduct, optionNames, variants);
+      variantMedia = await linkVariantMedia(shop, product, links, mediaResponse.files, options);
+    }
+
+    // New media is appended, so only an update can leave things out of order
+    if (existingProduct && (newMedia.length > 0 || removed.length > 0)) {
+      const removedIds = new Set(removedMedia.map(record => record.mediaId));
+      const currentIds = [
+        ...existingProduct.media.nodes.map(node => node.id).filter(id => !removedIds.has(id)),
+        ...(mediaResponse ? mediaResponse.media.map(node => node.id) : [])
+      ];
+      mediaMoves = await reorderMedia(shop, product.id, media, [...kept, ...mediaRecords(mediaResponse)], currentIds, options);
+    }
+  } catch (mediaError) {
+    mediaFailed = true;
+    console.error('Media sync error:', mediaError.details || mediaError.message);
+  }
+
+  const collections = await assignProductCollections(shop, normalizedProduct, options);
+  const translations = await registerProductTranslations(shop, product.id, normalizedProduct.translations, options);
+  const translationsFailed = translations.some(result => result.action === 'failed');
+
+  productMap.saveMapping(shop, spadeId, {
+    productId: product.id,
+    // Leave the hash unset after a partial failure so the next upsert retries it
+    inputHash: mediaFailed || inventoryFailed || translationsFailed ? null : inputHash,
+    media: [
+      ...kept,
+      ...mediaRecords(mediaResponse),
+      // Removals that didn't go through are retried next time
+      ...removed.filter(record => !removedMedia.includes(record))
+    ],
+    status: product.status
+  });
+
+  return {
+    status: existingProduct ? 'updated' : 'created',
+    product,
+    inventory,
+    media: mediaResponse,
+    removedMedia,
+    mediaMoves,
+    variantMedia,
+    collections,
+    translations,
+    normalizedProduct
+  };
+}
+
+module.exports = {
+  diffMedia,
+  mediaRecords,
+  linkVariantMedia,
+  upsertProduct
+};
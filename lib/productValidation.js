@@ -0,0 +1,152 @@
+// Checks a built product against Shopify's per-product limits before anything is sent,
+// so problems can be shown to the merchant instead of surfacing as userErrors.
+
+const MAX_OPTIONS = 3;
+const MAX_VARIANTS = 2048;
+const MAX_TITLE_LENGTH = 255;
+const MAX_TAG_LENGTH = 255;
+
+// Price-like fields on a product or attribute value that must parse as numbers
+const PRICE_FIELDS = ['price', 'compare_price', 'unit_price', 'surcharge'];
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' ? isFinite(value) : String(value).trim() !== '' && isFinite(Number(value));
+}
+
+function checkPrices(target, path, errors) {
+  PRICE_FIELDS.forEach(field => {
+    const value = target[field];
+    if (!isBlank(value) && !isNumeric(value)) {
+      errors.push({
+        field: path ? `${path}.${field}` : field,
+        code: 'INVALID_PRICE',
+        message: `${field} must be a number, got "${value}"`
+      });
+    }
+  });
+}
+
+// Translated titles follow the same limit, and translated options and values must name
+// ones the product actually has, or there's nothing for Shopify to attach them to
+function checkTranslations(product, options, variants, errors) {
+  Object.entries(product.translations || {}).forEach(([locale, content]) => {
+    const path = `translations.${locale}`;
+    if (content.title && content.title.trim().length > MAX_TITLE_LENGTH) {
+      errors.push({ field: `${path}.title`, code: 'TOO_LONG', message: `Title is longer than ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    Object.entries(content.options || {}).forEach(([name, option]) => {
+      const index = options.indexOf(name);
+      if (index === -1) {
+        errors.push({ field: `${path}.options.${name}`, code: 'UNKNOWN_OPTION', message: `The product has no option "${name}"` });
+        return;
+      }
+      const values = new Set(variants.map(variant => variant.options[index]));
+      Object.keys(option.values || {}).forEach(value => {
+        if (!values.has(value)) {
+          errors.push({
+            field: `${path}.options.${name}.values.${value}`,
+            code: 'UNKNOWN_OPTION_VALUE',
+            message: `Option "${name}" has no value "${value}"`
+          });
+        }
+      });
+    });
+  });
+}
+
+// product is normalizeProductInput output; options/variants come from buildOptionsAndVariants.
+// Returns [{ field, code, message }], empty when the product can be published as is.
+function validateProduct(product, options, variants, pricing = {}) {
+  const errors = [];
+
+  const title = isBlank(product.title) ? '' : String(product.title).trim();
+  if (!title) {
+    errors.push({ field: 'title', code: 'BLANK', message: 'Title can\'t be blank' });
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    errors.push({ field: 'title', code: 'TOO_LONG', message: `Title is longer than ${MAX_TITLE_LENGTH} characters` });
+  }
+
+  checkPrices(product, '', errors);
+  (product.attributes || []).forEach((attr, attrIndex) => {
+    (attr.values || []).forEach((val, valIndex) => {
+      if (val && typeof val === 'object') {
+        checkPrices(val, `attributes[${attrIndex}].values[${valIndex}]`, errors);
+      }
+    });
+  });
+
+  if (pricing.priceTable && typeof pricing.priceTable === 'object') {
+    Object.entries(pricing.priceTable).forEach(([key, value]) => {
+      if (!isNumeric(value)) {
+        errors.push({ field: `pricing.priceTable.${key}`, code: 'INVALID_PRICE', message: `Price for "${key}" must be a number` });
+      }
+    });
+  }
+
+  if (options.length > MAX_OPTIONS) {
+    errors.push({
+      field: 'attributes',
+      code: 'TOO_MANY_OPTIONS',
+      message: `Shopify allows at most ${MAX_OPTIONS} options, got ${options.length} (${options.join(', ')})`
+    });
+  }
+
+  const duplicateNames = options.filter((name, index) => options.indexOf(name) !== index);
+  if (duplicateNames.length > 0) {
+    errors.push({
+      field: 'attributes',
+      code: 'DUPLICATE_OPTION',
+      message: `Option names must be unique: ${[...new Set(duplicateNames)].join(', ')}`
+    });
+  }
+
+  if (variants.length > MAX_VARIANTS) {
+    errors.push({
+      field: 'variants',
+      code: 'TOO_MANY_VARIANTS',
+      message: `Shopify allows at most ${MAX_VARIANTS} variants, these attributes produce ${variants.length}`
+    });
+  }
+
+  const seen = new Set();
+  const duplicates = new Set();
+  variants.forEach(variant => {
+    const title = variant.options.join(' / ');
+    if (seen.has(title)) duplicates.add(title);
+    seen.add(title);
+  });
+  duplicates.forEach(title => {
+    errors.push({
+      field: 'variants',
+      code: 'DUPLICATE_VARIANT',
+      message: `More than one variant has the options "${title}"`
+    });
+  });
+
+  (product.tags || []).forEach((tag, index) => {
+    if (String(tag).trim().length > MAX_TAG_LENGTH) {
+      errors.push({
+        field: `tags[${index}]`,
+        code: 'TOO_LONG',
+        message: `Tag is longer than ${MAX_TAG_LENGTH} characters`
+      });
+    }
+  });
+
+  checkTranslations(product, options, variants, errors);
+
+  return errors;
+}
+
+module.exports = {
+  MAX_OPTIONS,
+  MAX_VARIANTS,
+  MAX_TITLE_LENGTH,
+  MAX_TAG_LENGTH,
+  validateProduct
+};
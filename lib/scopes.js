@@ -0,0 +1,53 @@
+const tokenStore = require('./tokenStore');
+
+function getConfiguredScopes() {
+  return tokenStore.parseScopes(process.env.SHOPIFY_SCOPES);
+}
+
+// write_x implies read_x, so a shop granted write_products doesn't need read_products listed
+function expandScopes(scopes) {
+  const expanded = new Set(scopes);
+  scopes.forEach(scope => {
+    const match = scope.match(/^(unauthenticated_)?write_(.+)$/);
+    if (match) expanded.add(`${match[1] || ''}read_${match[2]}`);
+  });
+  return expanded;
+}
+
+// Configured scopes the shop's stored grant doesn't cover. Returns [] when we
+// have no record of the grant, since that's handled by the missing-token paths.
+function getMissingScopes(shop) {
+  const record = tokenStore.getShop(shop);
+  if (!record) return [];
+
+  const granted = expandScopes(record.scopes);
+  return getConfiguredScopes().filter(scope => !granted.has(scope));
+}
+
+function getReauthUrl(shop) {
+  return `${process.env.SHOPIFY_HOST}/shopify/install?shop=${encodeURIComponent(shop)}`;
+}
+
+// Express middleware, mounted after requireSessionToken: stops requests from shops
+// whose token predates a scope we've since added, so the frontend can re-run OAuth
+function requireGrantedScopes(req, res, next) {
+  const missingScopes = getMissingScopes(req.shop);
+  if (missingScopes.length === 0) return next();
+
+  const reauthUrl = getReauthUrl(req.shop);
+  res.set('X-Shopify-API-Request-Failure-Reauthorize', '1');
+  res.set('X-Shopify-API-Request-Failure-Reauthorize-Url', reauthUrl);
+  return res.status(403).json({
+    error: 'Access scopes have changed; the app must be re-authorized',
+    needsReauth: true,
+    missingScopes,
+    reauthUrl
+  });
+}
+
+module.exports = {
+  getConfiguredScopes,
+  getMissingScopes,
+  getReauthUrl,
+  requireGrantedScopes
+};
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Shopify shop domains: letters, digits and hyphens, ending in .myshopify.com
+const SHOP_DOMAIN_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+
+function isValidShop(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_REGEX.test(shop);
+}
+
+// Constant-time string comparison; returns false on length mismatch without leaking timing
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufA = Buffer.from(a, 'utf8');
+  const bufB = Buffer.from(b, 'utf8');
+  if (bufA.length !== bufB.length) return false;
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  isValidShop,
+  safeCompare,
+  generateNonce
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { isValidShop, safeCompare } = require('./security');
+
+// Allow a few seconds of clock drift between Shopify and this server
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+class SessionTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionTokenError';
+  }
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function base64UrlEncode(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// Verify an App Bridge session token (HS256 JWT signed with the app secret)
+// and return its payload along with the shop domain it was issued for.
+function verifySessionToken(token) {
+  const { SHOPIFY_API_KEY, SHOPIFY_API_SECRET } = process.env;
+
+  if (!token || typeof token !== 'string') {
+    throw new SessionTokenError('Missing session token');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new SessionTokenError('Malformed session token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (error) {
+    throw new SessionTokenError('Malformed session token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new SessionTokenError(`Unsupported session token algorithm: ${header.alg}`);
+  }
+
+  const expected = base64UrlEncode(
+    crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(`${encodedHeader}.${encodedPayload}`).digest()
+  );
+  if (!safeCompare(expected, signature)) {
+    throw new SessionTokenError('Invalid session token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || now > payload.exp + CLOCK_TOLERANCE_SECONDS) {
+    throw new SessionTokenError('Session token expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_TOLERANCE_SECONDS) {
+    throw new SessionTokenError('Session token not yet valid');
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(SHOPIFY_API_KEY)) {
+    throw new SessionTokenError('Session token audience mismatch');
+  }
+
+  let shop;
+  let issuerShop;
+  try {
+    shop = new URL(payload.dest).hostname;
+    issuerShop = new URL(payload.iss).hostname;
+  } catch (error) {
+    throw new SessionTokenError('Session token has an invalid dest or iss');
+  }
+
+  if (!isValidShop(shop) || shop !== issuerShop) {
+    throw new SessionTokenError('Session token dest does not match a valid shop');
+  }
+
+  return { shop, payload };
+}
+
+// Express middleware: requires `Authorization: Bearer <session token>` and sets req.shop.
+// On failure responds 401 with the header App Bridge watches to fetch a fresh token and retry.
+function requireSessionToken(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+
+  try {
+    const { shop, payload } = verifySessionToken(match && match[1]);
+    req.shop = shop;
+    req.sessionToken = payload;
+    next();
+  } catch (error) {
+    if (!(error instanceof SessionTokenError)) {
+      return next(error);
+    }
+
+    res.set('X-Shopify-Retry-Invalid-Session-Request', '1');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: error.message,
+      reauthorize: true
+    });
+  }
+}
+
+module.exports = {
+  SessionTokenError,
+  verifySessionToken,
+  requireSessionToken
+};
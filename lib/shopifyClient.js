@@ -0,0 +1,219 @@
+const axios = require('axios');
+const tokenStore = require('./tokenStore');
+
+// Admin API version used for every call. Bump via SHOPIFY_API_VERSION rather than per route.
+// 2025-04 is the first version whose UnitPriceMeasurementMeasuredUnit has ITEM, which the
+// per-piece unit prices in productBuilder send.
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-04';
+
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 500;
+// Cost to budget for when we don't know a query's cost yet
+const DEFAULT_QUERY_COST = 50;
+
+class ShopifyApiError extends Error {
+  constructor(message, { status = 500, details } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, details: this.details };
+  }
+}
+
+// No (or a revoked) access token for the shop
+class ShopifyAuthError extends ShopifyApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 401, ...options });
+    this.name = 'ShopifyAuthError';
+  }
+}
+
+// Top-level `errors` in a GraphQL response
+class ShopifyGraphQLError extends ShopifyApiError {
+  constructor(errors, options = {}) {
+    super(`GraphQL errors: ${errors.map(e => e.message).join('; ')}`, { status: 400, details: errors, ...options });
+    this.name = 'ShopifyGraphQLError';
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { error: this.message, errors: this.errors };
+  }
+}
+
+// `userErrors` (or `mediaUserErrors`) returned by a mutation
+class ShopifyUserError extends ShopifyApiError {
+  constructor(operation, userErrors) {
+    super(`${operation} failed: ${userErrors.map(e => e.message).join('; ')}`, { status: 400, details: userErrors });
+    this.name = 'ShopifyUserError';
+    this.operation = operation;
+    this.userErrors = userErrors;
+  }
+
+  toJSON() {
+    return { error: this.message, errors: this.userErrors };
+  }
+}
+
+// Last known leaky-bucket state per shop, from extensions.cost.throttleStatus
+const throttleState = {};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  return BASE_BACKOFF_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+// Wait until the shop's bucket has (by estimate) enough points for the next query
+async function waitForCapacity(shop, expectedCost) {
+  const state = throttleState[shop];
+  if (!state) return;
+
+  const elapsedSeconds = (Date.now() - state.updatedAt) / 1000;
+  const available = Math.min(
+    state.maximumAvailable,
+    state.currentlyAvailable + elapsedSeconds * state.restoreRate
+  );
+
+  if (available < expectedCost && state.restoreRate > 0) {
+    await sleep(Math.ceil(((expectedCost - available) / state.restoreRate) * 1000));
+  }
+}
+
+function recordCost(shop, extensions) {
+  const cost = extensions && extensions.cost;
+  if (!cost || !cost.throttleStatus) return;
+
+  throttleState[shop] = {
+    ...cost.throttleStatus,
+    lastQueryCost: cost.requestedQueryCost,
+    updatedAt: Date.now()
+  };
+}
+
+function hasErrorCode(errors, code) {
+  return Array.isArray(errors) && errors.some(e => e.extensions && e.extensions.code === code);
+}
+
+// A 429 or THROTTLED response means Shopify ran nothing, so any request may be retried.
+// Network errors and 5xx may come after a write was committed, so only queries retry those;
+// retrying productSet or appUsageRecordCreate could duplicate a product or a charge.
+function isRetryableStatus(status, mutation) {
+  if (status === 429) return true;
+  if (mutation) return false;
+  return status === undefined || status >= 500;
+}
+
+function isMutation(query) {
+  return /^\s*mutation\b/.test(query);
+}
+
+// Run a GraphQL query or mutation against a shop's Admin API and return `data`.
+// Paces requests using the shop's throttle status and retries THROTTLED and 429 responses,
+// plus network errors and 5xx for queries.
+async function graphql(shop, query, variables = {}, options = {}) {
+  const accessToken = options.accessToken || tokenStore.getToken(shop);
+  if (!accessToken) {
+    throw new ShopifyAuthError(`No access token found for shop ${shop}`);
+  }
+
+  const url = `https://${shop}/admin/api/${options.apiVersion || API_VERSION}/graphql.json`;
+  const mutation = isMutation(query);
+
+  for (let attempt = 0; ; attempt++) {
+    const state = throttleState[shop];
+    await waitForCapacity(shop, options.expectedCost || (state && state.lastQueryCost) || DEFAULT_QUERY_COST);
+
+    let response;
+    try {
+      response = await axios.post(
+        url,
+        { query, variables },
+        {
+          headers: {
+            'X-Shopify-Access-Token': accessToken,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+    } catch (error) {
+      const status = error.response ? error.response.status : undefined;
+
+      if (isRetryableStatus(status, mutation) && attempt < MAX_RETRIES) {
+        const retryAfter = error.response && Number(error.response.headers['retry-after']);
+        await sleep(retryAfter ? retryAfter * 1000 : backoffDelay(attempt));
+        continue;
+      }
+
+      const details = error.response ? error.response.data : error.message;
+      if (status === 401 || status === 403) {
+        throw new ShopifyAuthError(`Shopify rejected the access token for ${shop}`, { status, details });
+      }
+      throw new ShopifyApiError('Shopify API request failed', { status: status || 502, details });
+    }
+
+    const { data, errors, extensions } = response.data;
+    recordCost(shop, extensions);
+
+    if (hasErrorCode(errors, 'THROTTLED')) {
+      if (attempt < MAX_RETRIES) {
+        // waitForCapacity on the next loop sleeps until the bucket refills
+        if (!extensions || !extensions.cost) await sleep(backoffDelay(attempt));
+        continue;
+      }
+      throw new ShopifyGraphQLError(errors, { status: 429 });
+    }
+
+    // Usually a scope the shop hasn't granted yet; see lib/scopes.js
+    if (hasErrorCode(errors, 'ACCESS_DENIED')) {
+      throw new ShopifyGraphQLError(errors, { status: 403 });
+    }
+
+    if (errors && errors.length > 0) {
+      throw new ShopifyGraphQLError(errors);
+    }
+
+    return data;
+  }
+}
+
+// Run a mutation and return its root field payload, raising ShopifyUserError on userErrors
+async function mutate(shop, mutation, variables, operation, options) {
+  const data = await graphql(shop, mutation, variables, options);
+  const payload = data[operation];
+
+  const userErrors = [
+    ...((payload && payload.userErrors) || []),
+    ...((payload && payload.mediaUserErrors) || [])
+  ];
+  if (userErrors.length > 0) {
+    throw new ShopifyUserError(operation, userErrors);
+  }
+
+  return payload;
+}
+
+// Send a typed Shopify error as the response; anything else becomes a 500 with the fallback message
+function sendShopifyError(res, error, fallbackMessage) {
+  if (error instanceof ShopifyApiError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  return res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+module.exports = {
+  API_VERSION,
+  graphql,
+  mutate,
+  sendShopifyError,
+  ShopifyApiError,
+  ShopifyAuthError,
+  ShopifyGraphQLError,
+  ShopifyUserError
+};
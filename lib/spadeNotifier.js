@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Where merchant-side product changes are reported, e.g. https://api.spade.example/shopify/product-events/
+function getEventsUrl() {
+  return process.env.SPADE_EVENTS_URL || null;
+}
+
+// POST one event to Spade, signed with SPADE_EVENTS_SECRET (base64 HMAC-SHA256 of the body,
+// the same scheme Shopify uses for its webhooks). Returns false when no URL is configured;
+// delivery errors are thrown so the webhook that triggered them is retried.
+async function notifySpade(event) {
+  const url = getEventsUrl();
+  if (!url) {
+    console.warn(`SPADE_EVENTS_URL is not set; dropping ${event.event} for ${event.shop}`);
+    return false;
+  }
+
+  const body = JSON.stringify({ ...event, sentAt: new Date().toISOString() });
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.SPADE_EVENTS_SECRET) {
+    headers['X-Spade-Hmac-Sha256'] = crypto
+      .createHmac('sha256', process.env.SPADE_EVENTS_SECRET)
+      .update(body, 'utf8')
+      .digest('base64');
+  }
+
+  await axios.post(url, body, { headers, timeout: 10000 });
+  return true;
+}
+
+module.exports = {
+  notifySpade
+};
@@ -0,0 +1,58 @@
+const axios = require('axios');
+const { mutate } = require('./shopifyClient');
+
+// Reserve an upload slot on Shopify's storage. resource is a StagedUploadTargetGenerateUploadResource
+// (BULK_MUTATION_VARIABLES, IMAGE, VIDEO, MODEL_3D, ...). Returns { url, resourceUrl, parameters }.
+async function createStagedUpload(shop, { resource, filename, mimeType, fileSize, httpMethod = 'POST' }, options = {}) {
+  const mutation = `
+    mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input = { resource, filename, mimeType, httpMethod };
+  if (fileSize !== undefined) {
+    input.fileSize = String(fileSize);
+  }
+
+  const result = await mutate(shop, mutation, { input: [input] }, 'stagedUploadsCreate', options);
+  if (!result.stagedTargets || result.stagedTargets.length === 0) {
+    throw new Error(`Shopify returned no staged upload target for ${filename}`);
+  }
+
+  return result.stagedTargets[0];
+}
+
+// Multipart POST of the file to the staged target; parameters must precede the file field
+async function uploadToStagedTarget(target, buffer, filename, mimeType) {
+  const form = new FormData();
+  target.parameters.forEach(param => form.append(param.name, param.value));
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+  await axios.post(target.url, form, { maxBodyLength: Infinity, maxContentLength: Infinity });
+}
+
+// Staged key parameter, which bulkOperationRunMutation takes as stagedUploadPath
+function getStagedUploadPath(target) {
+  const keyParam = target.parameters.find(param => param.name === 'key');
+  return keyParam ? keyParam.value : null;
+}
+
+module.exports = {
+  createStagedUpload,
+  uploadToStagedTarget,
+  getStagedUploadPath
+};
@@ -1,3 +1,113 @@
-const accessTokens = {};
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
 
-module.exports = accessTokens;
+// Shop -> { token (encrypted), scopes, installedAt, updatedAt }
+const store = createFileStore('shops');
+
+const ALGORITHM = 'aes-256-gcm';
+let encryptionKey = null;
+
+// Derive a 256-bit key from TOKEN_ENCRYPTION_KEY. Read lazily so dotenv has run.
+function getKey() {
+  if (encryptionKey) return encryptionKey;
+
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set; refusing to store access tokens unencrypted');
+  }
+
+  encryptionKey = crypto.scryptSync(secret, 'spade-shopify-token-store', 32);
+  return encryptionKey;
+}
+
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(buf => buf.toString('base64')).join(':');
+}
+
+function decrypt(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Normalize scopes to a sorted array whether given as "a,b" or ['a', 'b']
+function parseScopes(scopes) {
+  if (!scopes) return [];
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(',');
+  return [...new Set(list.map(s => s.trim()).filter(Boolean))].sort();
+}
+
+// Look up the decrypted access token for a shop, or undefined if not installed
+function getToken(shop) {
+  if (!shop) return undefined;
+  const record = store.get(shop);
+  if (!record || !record.token) return undefined;
+
+  try {
+    return decrypt(record.token);
+  } catch (error) {
+    console.error(`Failed to decrypt access token for ${shop}:`, error.message);
+    return undefined;
+  }
+}
+
+// Install metadata for a shop without the token itself
+function getShop(shop) {
+  const record = shop && store.get(shop);
+  if (!record) return null;
+
+  return {
+    shop,
+    scopes: record.scopes || [],
+    installedAt: record.installedAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+function saveToken(shop, accessToken, scopes) {
+  const existing = store.get(shop);
+  const now = new Date().toISOString();
+
+  store.set(shop, {
+    token: encrypt(accessToken),
+    scopes: parseScopes(scopes),
+    installedAt: existing && existing.installedAt ? existing.installedAt : now,
+    updatedAt: now
+  });
+}
+
+// Refresh the granted scopes (e.g. from currentAppInstallation) without touching the token
+function updateScopes(shop, scopes) {
+  const existing = store.get(shop);
+  if (!existing) return false;
+
+  store.set(shop, {
+    ...existing,
+    scopes: parseScopes(scopes),
+    updatedAt: new Date().toISOString()
+  });
+  return true;
+}
+
+function removeShop(shop) {
+  return store.delete(shop);
+}
+
+function listShops() {
+  return store.keys();
+}
+
+module.exports = {
+  getToken,
+  getShop,
+  saveToken,
+  updateScopes,
+  removeShop,
+  listShops,
+  parseScopes
+};
@@ -0,0 +1,211 @@
+// Translated product content via the Translations API. Needs the read_locales and
+// write_translations scopes in SHOPIFY_SCOPES.
+
+const { graphql, mutate } = require('./shopifyClient');
+
+// Translatable content keys for the product fields we translate
+const PRODUCT_KEYS = {
+  title: 'title',
+  description: 'body_html'
+};
+
+// Shopify looks resources up by id in pages of at most this many
+const RESOURCES_PAGE_SIZE = 250;
+
+// [{ locale, primary, published }] for every language added to the shop
+async function getShopLocales(shop, options = {}) {
+  const query = `
+    query ShopLocales {
+      shopLocales {
+        locale
+        primary
+        published
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, {}, options);
+  return data.shopLocales;
+}
+
+async function getProductOptions(shop, productId, options = {}) {
+  const query = `
+    query ProductOptions($id: ID!) {
+      product(id: $id) {
+        options {
+          id
+          name
+          optionValues {
+            id
+            name
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await graphql(shop, query, { id: productId }, options);
+  return data.product ? data.product.options : [];
+}
+
+// { resourceId: { key: digest } } for the original content of each resource
+async function getContentDigests(shop, resourceIds, options = {}) {
+  const query = `
+    query TranslatableResources($resourceIds: [ID!]!, $first: Int!) {
+      translatableResourcesByIds(first: $first, resourceIds: $resourceIds) {
+        nodes {
+          resourceId
+          translatableContent {
+            key
+            digest
+          }
+        }
+      }
+    }
+  `;
+
+  const digests = {};
+  for (let i = 0; i < resourceIds.length; i += RESOURCES_PAGE_SIZE) {
+    const ids = resourceIds.slice(i, i + RESOURCES_PAGE_SIZE);
+    const data = await graphql(shop, query, { resourceIds: ids, first: ids.length }, options);
+    data.translatableResourcesByIds.nodes.forEach(node => {
+      digests[node.resourceId] = {};
+      node.translatableContent.forEach(content => { digests[node.resourceId][content.key] = content.digest; });
+    });
+  }
+  return digests;
+}
+
+// What one locale's content translates: [{ resourceId, key, value, label }] against the
+// product and its options and option values, plus labels of options/values the product lacks
+function planLocale(content, productId, productOptions) {
+  const entries = [];
+  const missing = [];
+
+  Object.entries(PRODUCT_KEYS).forEach(([field, key]) => {
+    if (content[field]) entries.push({ resourceId: productId, key, value: content[field], label: field });
+  });
+
+  Object.entries(content.options || {}).forEach(([name, option]) => {
+    const productOption = productOptions.find(o => o.name === name);
+    if (!productOption) {
+      missing.push(`options.${name}`);
+      return;
+    }
+    if (option.name) {
+      entries.push({ resourceId: productOption.id, key: 'name', value: option.name, label: `options.${name}` });
+    }
+    Object.entries(option.values || {}).forEach(([valueName, value]) => {
+      const optionValue = productOption.optionValues.find(v => v.name === valueName);
+      const label = `options.${name}.values.${valueName}`;
+      if (optionValue) {
+        entries.push({ resourceId: optionValue.id, key: 'name', value, label });
+      } else {
+        missing.push(label);
+      }
+    });
+  });
+
+  return { entries, missing };
+}
+
+async function registerTranslations(shop, resourceId, translations, options = {}) {
+  const mutation = `
+    mutation TranslationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+      translationsRegister(resourceId: $resourceId, translations: $translations) {
+        translations {
+          key
+          locale
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const result = await mutate(shop, mutation, { resourceId, translations }, 'translationsRegister', options);
+  return result.translations;
+}
+
+// Register a product's per-locale title, description and option/value names (normalized
+// product.translations) against its current content digests. Locales the shop hasn't
+// added are reported rather than sent, and failures are reported per locale instead of
+// thrown since the product itself was already written.
+// Returns [{ locale, action: 'registered' | 'not_enabled' | 'primary' | 'failed', published?,
+// translated?, missing?, error? }].
+async function registerProductTranslations(shop, productId, translations, options = {}) {
+  const locales = Object.keys(translations || {});
+  if (locales.length === 0) return [];
+
+  let shopLocales;
+  let productOptions;
+  try {
+    shopLocales = await getShopLocales(shop, options);
+    productOptions = await getProductOptions(shop, productId, options);
+  } catch (error) {
+    console.error('Translation error:', error.details || error.message);
+    return locales.map(locale => ({ locale, action: 'failed', error: error.message }));
+  }
+
+  const results = [];
+  const plans = [];
+  locales.forEach(locale => {
+    const shopLocale = shopLocales.find(l => l.locale.toLowerCase() === locale.toLowerCase());
+    if (!shopLocale) {
+      results.push({ locale, action: 'not_enabled', error: `The shop hasn't added ${locale} as a language` });
+    } else if (shopLocale.primary) {
+      results.push({ locale, action: 'primary', error: `${locale} is the shop's primary language; its content is the product itself` });
+    } else {
+      plans.push({ locale: shopLocale.locale, published: shopLocale.published, ...planLocale(translations[locale], productId, productOptions) });
+    }
+  });
+  if (plans.length === 0) return results;
+
+  let digests;
+  try {
+    const resourceIds = [...new Set(plans.flatMap(plan => plan.entries.map(entry => entry.resourceId)))];
+    digests = await getContentDigests(shop, resourceIds, options);
+  } catch (error) {
+    console.error('Translation error:', error.details || error.message);
+    return [...results, ...plans.map(plan => ({ locale: plan.locale, action: 'failed', error: error.message }))];
+  }
+
+  for (const plan of plans) {
+    const byResource = {};
+    const missing = [...plan.missing];
+    plan.entries.forEach(entry => {
+      const digest = digests[entry.resourceId] && digests[entry.resourceId][entry.key];
+      if (!digest) {
+        missing.push(entry.label);
+        return;
+      }
+      if (!byResource[entry.resourceId]) byResource[entry.resourceId] = [];
+      byResource[entry.resourceId].push({ locale: plan.locale, key: entry.key, value: entry.value, translatableContentDigest: digest });
+    });
+
+    const errors = [];
+    let translated = 0;
+    for (const [resourceId, inputs] of Object.entries(byResource)) {
+      try {
+        translated += (await registerTranslations(shop, resourceId, inputs, options)).length;
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    const result = { locale: plan.locale, action: errors.length > 0 ? 'failed' : 'registered', published: plan.published, translated };
+    if (missing.length > 0) result.missing = missing;
+    if (errors.length > 0) result.error = errors.join('; ');
+    results.push(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  getShopLocales,
+  registerProductTranslations
+};
@@ -0,0 +1,151 @@
+const { graphql, mutate } = require('./shopifyClient');
+
+// Topics every shop is subscribed to on install: only those routers/webhooks.js has a
+// handler for, since anything else would be delivered and dropped. Override with a
+// comma-separated SHOPIFY_WEBHOOK_TOPICS. The GDPR topics can't be subscribed through
+// the API; they're configured on the app in the Partner dashboard instead.
+const DEFAULT_TOPICS = [
+  'APP_UNINSTALLED',
+  'PRODUCTS_UPDATE',
+  'PRODUCTS_DELETE',
+  'BULK_OPERATIONS_FINISH'
+];
+
+function getConfiguredTopics() {
+  const configured = process.env.SHOPIFY_WEBHOOK_TOPICS;
+  if (!configured) return DEFAULT_TOPICS;
+  return [...new Set(configured.split(',').map(t => t.trim().toUpperCase()).filter(Boolean))];
+}
+
+function getCallbackUrl() {
+  return `${process.env.SHOPIFY_HOST}/shopify/webhooks`;
+}
+
+async function listSubscriptions(shop) {
+  const query = `
+    query WebhookSubscriptions($after: String) {
+      webhookSubscriptions(first: 100, after: $after) {
+        nodes {
+          id
+          topic
+          format
+          endpoint {
+            __typename
+            ... on WebhookHttpEndpoint {
+              callbackUrl
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const subscriptions = [];
+  let after = null;
+  do {
+    const data = await graphql(shop, query, { after });
+    const page = data.webhookSubscriptions;
+    subscriptions.push(...page.nodes.map(node => ({
+      id: node.id,
+      topic: node.topic,
+      format: node.format,
+      callbackUrl: node.endpoint && node.endpoint.callbackUrl
+    })));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return subscriptions;
+}
+
+// Compare what the shop has against what we want, without changing anything
+async function getSubscriptionStatus(shop) {
+  const callbackUrl = getCallbackUrl();
+  const topics = getConfiguredTopics();
+  const existing = await listSubscriptions(shop);
+
+  const missing = [];
+  const misdirected = [];
+  for (const topic of topics) {
+    const forTopic = existing.filter(s => s.topic === topic);
+    if (forTopic.some(s => s.callbackUrl === callbackUrl)) continue;
+
+    if (forTopic.length > 0) {
+      misdirected.push(forTopic[0]);
+    } else {
+      missing.push(topic);
+    }
+  }
+
+  return { callbackUrl, topics, existing, missing, misdirected };
+}
+
+// Subscribe the shop to every configured topic. Safe to re-run: topics already
+// pointing at our callback are left alone and ones pointing elsewhere are updated.
+async function registerWebhooks(shop) {
+  const status = await getSubscriptionStatus(shop);
+  const results = [];
+
+  const createMutation = `
+    mutation WebhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+        webhookSubscription {
+          id
+          topic
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const updateMutation = `
+    mutation WebhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+        webhookSubscription {
+          id
+          topic
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const webhookSubscription = { callbackUrl: status.callbackUrl, format: 'JSON' };
+
+  for (const topic of status.missing) {
+    try {
+      const result = await mutate(shop, createMutation, { topic, webhookSubscription }, 'webhookSubscriptionCreate');
+      results.push({ topic, action: 'created', id: result.webhookSubscription.id });
+    } catch (error) {
+      results.push({ topic, action: 'failed', error: error.message });
+    }
+  }
+
+  for (const subscription of status.misdirected) {
+    try {
+      await mutate(shop, updateMutation, { id: subscription.id, webhookSubscription }, 'webhookSubscriptionUpdate');
+      results.push({ topic: subscription.topic, action: 'updated', id: subscription.id });
+    } catch (error) {
+      results.push({ topic: subscription.topic, action: 'failed', error: error.message });
+    }
+  }
+
+  const unchanged = status.topics.length - status.missing.length - status.misdirected.length;
+  return { callbackUrl: status.callbackUrl, unchanged, results };
+}
+
+module.exports = {
+  getConfiguredTopics,
+  listSubscriptions,
+  getSubscriptionStatus,
+  registerWebhooks
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { createFileStore } = require('./fileStore');
+const { safeCompare } = require('./security');
+
+// Webhook ids we've already processed, so Shopify retries aren't handled twice
+const deliveries = createFileStore('webhook-deliveries');
+const DELIVERY_TTL_MS = 48 * 60 * 60 * 1000;
+
+// topic (as sent in X-Shopify-Topic, e.g. "app/uninstalled") -> [handler]
+const handlers = {};
+
+function normalizeTopic(topic) {
+  return String(topic || '').trim().toLowerCase();
+}
+
+// Handlers receive { shop, topic, webhookId, apiVersion, payload } and may be async
+function registerWebhookHandler(topic, handler) {
+  const key = normalizeTopic(topic);
+  handlers[key] = handlers[key] || [];
+  handlers[key].push(handler);
+}
+
+function getRegisteredTopics() {
+  return Object.keys(handlers);
+}
+
+// HMAC is computed over the raw request bytes, base64 encoded
+function verifyWebhookHMAC(rawBody, hmacHeader) {
+  if (!Buffer.isBuffer(rawBody) || typeof hmacHeader !== 'string') return false;
+
+  const generated = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(rawBody)
+    .digest('base64');
+  return safeCompare(generated, hmacHeader);
+}
+
+function isDuplicate(webhookId) {
+  return Boolean(webhookId) && deliveries.has(webhookId);
+}
+
+function markProcessed(webhookId) {
+  if (!webhookId) return;
+  const now = Date.now();
+  deliveries.prune(receivedAt => now - receivedAt > DELIVERY_TTL_MS);
+  deliveries.set(webhookId, now);
+}
+
+// Run every handler registered for the topic; returns how many ran
+async function dispatchWebhook(webhook) {
+  const topicHandlers = handlers[normalizeTopic(webhook.topic)] || [];
+
+  for (const handler of topicHandlers) {
+    await handler(webhook);
+  }
+
+  return topicHandlers.length;
+}
+
+module.exports = {
+  registerWebhookHandler,
+  getRegisteredTopics,
+  verifyWebhookHMAC,
+  isDuplicate,
+  markProcessed,
+  dispatchWebhook
+};
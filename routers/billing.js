@@ -1,37 +1,28 @@
 const express = require('express');
-const { Shopify } = require('@shopify/shopify-api');
-const accessTokens = require('../lib/tokenStore');
+const tokenStore = require('../lib/tokenStore');
+const { mutate, sendShopifyError } = require('../lib/shopifyClient');
 
 // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const router = express.Router();
 
 // Shopify subscription plan creation
 router.post('/subscription', async (req, res) => {
-  const { shop, planName, price, returnUrl } = req.body;
+  const { planName, price, returnUrl } = req.body;
+  const shop = req.shop;
 
   // Retrieve access token from tokenStore
-  const accessToken = accessTokens[shop];
+  const accessToken = tokenStore.getToken(shop);
   if (!accessToken) {
     return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
   }
 
-  const client = new Shopify.Clients.Graphql(shop, accessToken);
-  const query = `
-    mutation {
+  const mutation = `
+    mutation AppSubscriptionCreate($name: String!, $returnUrl: URL!, $lineItems: [AppSubscriptionLineItemInput!]!) {
       appSubscriptionCreate(
-        name: "${planName}"
-        returnUrl: "${returnUrl}"
+        name: $name
+        returnUrl: $returnUrl
         test: true
-        lineItems: [{
-          plan: {
-            appRecurringPricingDetails: {
-              price: {
-                amount: ${price},
-                currencyCode: USD
-              }
-            }
-          }
-        }]
+        lineItems: $lineItems
       ) {
         userErrors {
           field
@@ -43,32 +34,42 @@ router.post('/subscription', async (req, res) => {
   `;
 
   try {
-    const response = await client.query({ data: query });
-    const confirmationUrl = response.body.data.appSubscriptionCreate.confirmationUrl;
-    res.json({ confirmationUrl });
+    const result = await mutate(shop, mutation, {
+      name: planName,
+      returnUrl,
+      lineItems: [{
+        plan: {
+          appRecurringPricingDetails: {
+            price: { amount: price, currencyCode: 'USD' }
+          }
+        }
+      }]
+    }, 'appSubscriptionCreate', { accessToken });
+
+    res.json({ confirmationUrl: result.confirmationUrl });
   } catch (error) {
     console.error('Error creating subscription:', error);
-    res.status(500).json({ error: 'Failed to create subscription' });
+    sendShopifyError(res, error, 'Failed to create subscription');
   }
 });
 
 // Shopify usage charge
 router.post('/usage', async (req, res) => {
-  const { shop, subscriptionId, description, amount } = req.body;
+  const { subscriptionId, description, amount } = req.body;
+  const shop = req.shop;
 
   // Retrieve access token from tokenStore
-  const accessToken = accessTokens[shop];
+  const accessToken = tokenStore.getToken(shop);
   if (!accessToken) {
     return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
   }
 
-  const client = new Shopify.Clients.Graphql(shop, accessToken);
-  const query = `
-    mutation {
+  const mutation = `
+    mutation AppUsageRecordCreate($subscriptionId: ID!, $description: String!, $price: MoneyInput!) {
       appUsageRecordCreate(
-        subscriptionId: "${subscriptionId}",
-        description: "${description}",
-        price: { amount: ${amount}, currencyCode: USD }
+        subscriptionLineItemId: $subscriptionId,
+        description: $description,
+        price: $price
       ) {
         appUsageRecord {
           id
@@ -82,12 +83,16 @@ router.post('/usage', async (req, res) => {
   `;
 
   try {
-    const response = await client.query({ data: query });
-    const result = response.body.data.appUsageRecordCreate;
+    const result = await mutate(shop, mutation, {
+      subscriptionId,
+      description,
+      price: { amount, currencyCode: 'USD' }
+    }, 'appUsageRecordCreate', { accessToken });
+
     res.json(result);
   } catch (error) {
     console.error('Error creating usage charge:', error);
-    res.status(500).json({ error: 'Failed to create usage charge' });
+    sendShopifyError(res, error, 'Failed to create usage charge');
   }
 });
 
@@ -119,24 +124,4 @@ router.post('/usage', async (req, res) => {
 //   }
 // });
 
-// Shopify app uninstall webhook
-router.post('/webhooks/app-uninstalled', express.raw({ type: 'application/json' }), async (req, res) => {
-  try {
-    const shop = req.headers['x-shopify-shop-domain'];
-    
-    // Clean up tokenStore when app is uninstalled
-    if (accessTokens[shop]) {
-      delete accessTokens[shop];
-      console.log(`Access token removed for ${shop}`);
-    }
-    
-    // TODO: Clean up database (e.g., delete subscription info, user data)
-    console.log(`App uninstalled by ${shop}`);
-    res.status(200).send('Webhook received');
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).send('Webhook error');
-  }
-});
-
 module.exports = router;
\ No newline at end of file
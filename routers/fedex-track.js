@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const accessTokens = require('../lib/tokenStore');
+const { graphql, mutate } = require('../lib/shopifyClient');
 
 const {
   FEDEX_CLIENT_ID,
@@ -18,11 +18,6 @@ const CLIENT_SECRET = isSandbox ? FEDEX_SANDBOX_CLIENT_SECRET : FEDEX_CLIENT_SEC
 
 // Helper function to find Shopify order by tracking number
 async function findOrderByTrackingNumber(shop, trackingNumber) {
-  const accessToken = accessTokens[shop];
-  if (!accessToken) {
-    throw new Error('No access token found for shop');
-  }
-
   const graphqlQuery = `
     query FindOrderByTrackingNumber($query: String!) {
       orders(first: 50, query: $query) {
@@ -43,28 +38,12 @@ async function findOrderByTrackingNumber(shop, trackingNumber) {
     }
   `;
 
-  const response = await axios.post(
-    `https://${shop}/admin/api/2023-10/graphql.json`,
-    {
-      query: graphqlQuery,
-      variables: {
-        query: `fulfillment_status:unfulfilled OR fulfillment_status:partial`
-      }
-    },
-    {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
-    }
-  );
-
-  if (response.data.errors) {
-    throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-  }
+  const data = await graphql(shop, graphqlQuery, {
+    query: `fulfillment_status:unfulfilled OR fulfillment_status:partial`
+  });
 
   // Find order with matching tracking number
-  const orders = response.data.data.orders.nodes;
+  const orders = data.orders.nodes;
   for (const order of orders) {
     for (const fulfillment of order.fulfillments) {
       if (fulfillment.trackingInfo.some(info => info.number === trackingNumber)) {
@@ -78,11 +57,6 @@ async function findOrderByTrackingNumber(shop, trackingNumber) {
 
 // Helper function to fulfill order on Shopify
 async function fulfillOrder(shop, orderId, fulfillmentId) {
-  const accessToken = accessTokens[shop];
-  if (!accessToken) {
-    throw new Error('No access token found for shop');
-  }
-
   const graphqlMutation = `
     mutation fulfillmentOpen($id: ID!) {
       fulfillmentOpen(id: $id) {
@@ -98,31 +72,8 @@ async function fulfillOrder(shop, orderId, fulfillmentId) {
     }
   `;
 
-  const response = await axios.post(
-    `https://${shop}/admin/api/2023-10/graphql.json`,
-    {
-      query: graphqlMutation,
-      variables: {
-        id: fulfillmentId
-      }
-    },
-    {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
-    }
-  );
-
-  if (response.data.errors) {
-    throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-  }
-
-  if (response.data.data.fulfillmentOpen.userErrors.length > 0) {
-    throw new Error(`Fulfillment errors: ${JSON.stringify(response.data.data.fulfillmentOpen.userErrors)}`);
-  }
-
-  return response.data.data.fulfillmentOpen.fulfillment;
+  const result = await mutate(shop, graphqlMutation, { id: fulfillmentId }, 'fulfillmentOpen');
+  return result.fulfillment;
 }
 
 // Helper function to check if package is delivered
@@ -147,9 +98,10 @@ function isPackageDelivered(trackingData) {
   }
 }
 
-// GET /track?tracking_number=123456789012&shop=myshop.myshopify.com
+// GET /track?tracking_number=123456789012 (shop comes from the session token)
 router.get('/track', async (req, res) => {
-  const { tracking_number: trackingNumber, shop } = req.query;
+  const { tracking_number: trackingNumber } = req.query;
+  const shop = req.shop;
 
   if (!trackingNumber) {
     return res.status(400).json({ error: 'Missing tracking_number' });
@@ -1,17 +1,18 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
-const accessTokens = require('../lib/tokenStore');
+const tokenStore = require('../lib/tokenStore');
+const { graphql, ShopifyGraphQLError } = require('../lib/shopifyClient');
+const { SPADE_NAMESPACE, readSpadeMetafields } = require('../lib/metafields');
 
 router.get('/spade', async (req, res) => {
-  const { shop } = req.query;
-  const accessToken = accessTokens[shop];
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
   if (!accessToken) {
     return res.status(401).send('Unauthorized: No access token found for this shop');
   }
 
   const graphqlQuery = `
-    query OrdersWithSpadeOrderTag($first: Int!) {
+    query OrdersWithSpadeOrderTag($first: Int!, $spadeNamespace: String!) {
       orders(first: $first, query: "tag:spade-order") {
         nodes {
           id
@@ -92,6 +93,13 @@ router.get('/spade', async (req, res) => {
                 id
                 title
                 tags
+                spadeMetafields: metafields(first: 20, namespace: $spadeNamespace) {
+                  nodes {
+                    key
+                    type
+                    value
+                  }
+                }
               }
               variant {
                 id
@@ -168,32 +176,26 @@ router.get('/spade', async (req, res) => {
   `;
 
   try {
-    const response = await axios.post(
-      `https://${shop}/admin/api/2023-10/graphql.json`,
-      {
-        query: graphqlQuery,
-        variables: {
-          first: 50
-        }
-      },
-      {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (response.data.errors) {
-      console.error('GraphQL errors:', response.data.errors);
-      return res.status(400).json({ errors: response.data.errors });
-    }
+    const data = await graphql(shop, graphqlQuery, { first: 50, spadeNamespace: SPADE_NAMESPACE }, { accessToken });
 
     // Extract orders from GraphQL response structure - now using nodes instead of edges
-    const orders = response.data.data.orders.nodes;
+    const orders = data.orders.nodes;
+
+    // Swap each line item product's raw metafields for { product_id, manufacturer_name, ... }
+    orders.forEach(order => {
+      order.lineItems.nodes.forEach(lineItem => {
+        if (!lineItem.product) return;
+        const { spadeMetafields, ...product } = lineItem.product;
+        lineItem.product = { ...product, spade: readSpadeMetafields(spadeMetafields && spadeMetafields.nodes) };
+      });
+    });
     
     res.json(orders);
   } catch (error) {
+    if (error instanceof ShopifyGraphQLError) {
+      console.error('GraphQL errors:', error.errors);
+      return res.status(400).json({ errors: error.errors });
+    }
     console.error('Error fetching orders:', error);
     res.status(500).send('Internal Server Error');
   }
@@ -1,378 +1,169 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
-const accessTokens = require('../lib/tokenStore');
-
-// Set the base image URL for local Django server
-const base_image_url = process.env.SPADE_HOST_URL || 'http://localhost:8000/media';
-
-// Normalize input to a unified product structure
-function normalizeProductInput(input) {
-  // Check if this is the new format with nested sample
-  if (input.sample && input.sample.sample_attributes) {
-    // Extract data from the nested structure
-    const sample = input.sample;
-    
-    // Transform sample_attributes to flat attributes structure
-    const attributes = sample.sample_attributes.map(attr => ({
-      name: attr.name,
-      values: attr.values.map(val => ({
-        name: val.name,
-        price: val.price,
-        compare_price: val.compare_price,
-        sku: val.sku,
-        images: val.images
-      }))
-    }));
-
-    // Extract media from sample_media and attribute value images
-    const media = [
-      ...(sample.sample_media || []).map(m => ({
-        media: m.media,
-        is_featured: m.is_featured
-      })),
-      ...attributes.flatMap(attr =>
-        attr.values.flatMap(val =>
-          (val.images || []).map(img => ({
-            media: img.image
-          }))
-        )
-      )
-    ];
-
-    // Generate tags from various sources
-    const tags = ['spade-product'];
-    
-    // Add explicit tags if provided
-    if (input.tags) {
-      tags.push(...(Array.isArray(input.tags) ? input.tags : [input.tags]));
-    }
-    
-    // Add store name as tag if available
-    if (input.store && input.store.name) {
-      tags.push(input.store.name);
-    }
-    
-    // Add manufacturer as tag if available
-    if (sample.manufacturer && sample.manufacturer.first_name) {
-      tags.push(`${sample.manufacturer.first_name} ${sample.manufacturer.last_name}`.trim());
-    }
-    
-    // Add attribute names as tags
-    attributes.forEach(attr => {
-      tags.push(attr.name);
-    });
-    
-    // Add product name/title as tag
-    if (input.name) {
-      tags.push(input.name);
-    }
+const tokenStore = require('../lib/tokenStore');
+const { sendShopifyError } = require('../lib/shopifyClient');
+const {
+  buildOptionsAndVariants,
+  buildMedia,
+  buildVariantMediaLinks,
+  buildProductSetInput
+} = require('../lib/productBuilder');
+const { setProduct, getProduct, updateProductStatus, deleteProduct } = require('../lib/productApi');
+const { upsertProduct, linkVariantMedia, mediaRecords } = require('../lib/productSync');
+const { uploadProductMedia } = require('../lib/mediaUpload');
+const { validateProduct } = require('../lib/productValidation');
+const { normalizeInput, listInputAdapters, InputValidationError } = require('../lib/inputAdapters');
+const { ensureMetafieldDefinitions } = require('../lib/metafields');
+const { assignProductCollections, listCollections, rebuildCollections } = require('../lib/collections');
+const { registerProductTranslations } = require('../lib/translations');
+const productMap = require('../lib/productMap');
+const { startImport, getImportJob, summarizeJob } = require('../lib/bulkImport');
+const { exportProductsCsv, importProductsCsv } = require('../lib/productCsv');
+const { syncProductInventory } = require('../lib/inventory');
+const { resolvePricing, getShopPricing, saveShopPricing, PricingError } = require('../lib/pricing');
+
+// Sync stock after a write; failures are reported alongside the product instead of failing the request
+async function pushInventory(shop, product, stock, options) {
+  if (stock === undefined || stock === null || !product) return null;
 
-    return {
-      id: input.id,
-      title: input.name || sample.title,
-      description: input.description || sample.description,
-      attributes: attributes,
-      media: media,
-      stock: input.stock,
-      is_active: input.is_active,
-      price_range: input.price_range,
-      tags: [...new Set(tags)] // Remove duplicates
-    };
-  } 
-  // Handle old format or already normalized input
-  else if (Array.isArray(input.attributes)) {
-    return {
-      ...input,
-      attributes: input.attributes.map(attr => ({
-        name: attr.name,
-        values: Array.isArray(attr.values) && typeof attr.values[0] === 'object' 
-          ? attr.values 
-          : attr.values.map(val => ({ name: val }))
-      })),
-      media: input.media || [],
-      tags: input.tags || []
-    };
-  }
-  // Default case
-  else {
-    return {
-      ...input,
-      attributes: input.attributes || [],
-      media: input.media || [],
-      tags: input.tags || []
-    };
+  try {
+    return await syncProductInventory(shop, product, stock, options);
+  } catch (error) {
+    console.error('Inventory sync error:', error.details || error.message);
+    return { error: error.message, details: error.details };
   }
 }
 
-// Helper to extract options and variants from product JSON
-function buildOptionsAndVariants(product) {
-  // Ensure attributes exist and are valid
-  if (!product.attributes || !Array.isArray(product.attributes) || product.attributes.length === 0) {
-    return { options: [], variants: [] };
-  }
-
-  const options = product.attributes.map(attr => attr.name);
-
-  // Improved cartesian product function with better error handling
-  function cartesian(arrays) {
-    if (!arrays || arrays.length === 0) return [[]];
-    
-    // Filter out empty arrays and ensure all elements are arrays
-    const validArrays = arrays.filter(arr => Array.isArray(arr) && arr.length > 0);
-    
-    if (validArrays.length === 0) return [[]];
-    if (validArrays.length === 1) return validArrays[0].map(item => [item]);
-    
-    return validArrays.reduce((acc, curr) => {
-      const result = [];
-      for (const accItem of acc) {
-        for (const currItem of curr) {
-          // Ensure accItem is always an array
-          const accArray = Array.isArray(accItem) ? accItem : [accItem];
-          result.push([...accArray, currItem]);
-        }
-      }
-      return result;
-    }, [[]]);
+// Pricing strategy for this request (body.pricing, else the shop's setting, else max).
+// Sends a 400 and returns null when the requested strategy is invalid.
+function requestPricing(req, res) {
+  try {
+    return resolvePricing(req.shop, req.body.pricing);
+  } catch (error) {
+    if (!(error instanceof PricingError)) throw error;
+    res.status(400).json({ error: error.message });
+    return null;
   }
+}
 
-  // Extract values arrays, ensuring they exist and are valid
-  const valuesList = product.attributes.map(attr => {
-    if (!attr.values || !Array.isArray(attr.values)) {
-      return [{ name: 'Default', price: product.price || '0' }];
-    }
-    return attr.values.filter(val => val && typeof val === 'object');
-  });
-
-  // Generate combinations
-  const combinations = cartesian(valuesList);
-
-  const variants = combinations.map((combo) => {
-    // Ensure combo is an array
-    if (!Array.isArray(combo)) {
-      console.warn('Invalid combo detected:', combo);
-      return null;
-    }
-
-    // Calculate price for this variant combination
-    // Use the maximum price from the selected attribute values
-    const prices = combo.map(val => {
-      if (val && typeof val === 'object' && val.price) {
-        return parseFloat(val.price);
-      }
-      return parseFloat(product.price || '0');
-    }).filter(price => !isNaN(price));
-
-    const variantPrice = prices.length > 0 ? Math.max(...prices) : 0;
-
-    // Extract SKUs if available
-    const skus = combo
-      .map(val => val && val.sku ? val.sku : null)
-      .filter(Boolean);
-    const sku = skus.length > 0 ? skus.join('-') : undefined;
+// Validate body.product against its input format (body.format, else detected).
+// Sends a 422 with field-level errors and returns null when it doesn't match.
+function requestProduct(req, res) {
+  try {
+    return normalizeInput(req.body.product, req.body.format);
+  } catch (error) {
+    if (!(error instanceof InputValidationError)) throw error;
+    res.status(error.status).json(error.toJSON());
+    return null;
+  }
+}
 
-    // Extract option names
-    const optionNames = combo.map(val => {
-      if (val && typeof val === 'object' && val.name) {
-        return val.name;
-      }
-      return 'Default';
-    });
+// Accepted input formats and the JSON Schema each is validated against
+router.get('/formats', (req, res) => {
+  res.json({ formats: listInputAdapters() });
+});
 
-    return {
-      price: variantPrice.toFixed(2),
-      sku: sku,
-      options: optionNames
-    };
-  }).filter(variant => variant !== null); // Remove any null variants
-
-  // If no valid variants were created, create a default one
-  if (variants.length === 0) {
-    variants.push({
-      price: (parseFloat(product.price || '0')).toFixed(2),
-      sku: undefined,
-      options: options.map(() => 'Default')
-    });
+// The Shopify product behind :id, which is a Spade product id or a URL-encoded product GID.
+// Returns { productId, spadeId, mapping } or null when neither resolves.
+function resolveProduct(shop, id) {
+  const mapping = productMap.getMapping(shop, id);
+  if (mapping) {
+    return { productId: mapping.productId, spadeId: id, mapping };
   }
 
-  return { options, variants };
-}
+  if (!id.startsWith('gid://')) return null;
 
-// Helper to build media array for mutation, prefixing image URLs
-function buildMedia(product) {
-  if (!product.media || product.media.length === 0) return [];
-  
-  return product.media.map(m => {
-    let mediaUrl = m.media || m.image || '';
-    
-    // Check if URL is already complete
-    if (!mediaUrl.startsWith('http')) {
-      // Handle relative URLs
-      if (mediaUrl.startsWith('/media/')) {
-        mediaUrl = `${base_image_url}${mediaUrl}`;
-      } else {
-        mediaUrl = `${base_image_url}/${mediaUrl}`;
-      }
-    }
-    
-    return {
-      mediaContentType: 'IMAGE',
-      originalSource: mediaUrl
-    };
-  });
-}
+  const reverse = productMap.findByProductId(shop, id);
+  if (!reverse) return { productId: id, spadeId: null, mapping: null };
 
-// Helper to escape strings for GraphQL
-function gqlEscape(str) {
-  return String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const { spadeId, ...rest } = reverse;
+  return { productId: id, spadeId, mapping: rest };
 }
 
-// Helper to format tags for GraphQL
-function formatTags(tags) {
-  if (!tags || tags.length === 0) return '';
-  
-  // Ensure tags is an array
-  const tagArray = Array.isArray(tags) ? tags : [tags];
-  
-  // Clean and format tags
-  const cleanedTags = tagArray
-    .filter(tag => tag && tag.trim()) // Remove empty tags
-    .map(tag => gqlEscape(tag.trim())); // Trim and escape each tag
-  
-  if (cleanedTags.length === 0) return '';
-  
-  return `tags: [${cleanedTags.map(tag => `"${tag}"`).join(', ')}],`;
-}
+const PRODUCT_STATUSES = ['ACTIVE', 'DRAFT', 'ARCHIVED'];
 
 router.post('/create', async (req, res) => {
-  const { shop, product } = req.body;
-  const accessToken = accessTokens[shop];
+  const { product } = req.body;
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
 
   if (!product) {
     return res.status(400).json({ error: 'Product JSON is required' });
   }
 
-  try {
-    // Normalize input for both product and sample object types
-    const normalizedProduct = normalizeProductInput(product);
+  const pricing = requestPricing(req, res);
+  if (!pricing) return;
 
-    const { options, variants } = buildOptionsAndVariants(normalizedProduct);
+  // Normalize input from whichever format it arrived in
+  const normalized = requestProduct(req, res);
+  if (!normalized) return;
+  const normalizedProduct = normalized.product;
+
+  try {
+    const { options, variants } = buildOptionsAndVariants(normalizedProduct, pricing);
     const media = buildMedia(normalizedProduct);
 
-    // Build GraphQL mutation string
-    const mutation = `
-mutation {
-  productCreate(
-    input: {
-      title: "${gqlEscape(normalizedProduct.title)}",
-      ${normalizedProduct.description ? `descriptionHtml: "${gqlEscape(normalizedProduct.description)}",` : ''}
-      ${normalizedProduct.is_active !== undefined ? `status: ${normalizedProduct.is_active ? 'ACTIVE' : 'DRAFT'},` : ''}
-      ${formatTags(normalizedProduct.tags)}
-      options: [${options.map(o => `"${gqlEscape(o)}"`).join(', ')}],
-      variants: [
-        ${variants.map(variant => `{
-          price: "${variant.price}",
-          ${variant.sku ? `sku: "${gqlEscape(variant.sku)}",` : ''}
-          options: [${variant.options.map(opt => `"${gqlEscape(opt)}"`).join(', ')}]
-        }`).join(',\n        ')}
-      ]
-    }
-  ) {
-    product {
-      id
-      title
-      status
-      tags
-      variants(first: 100) {
-        edges {
-          node {
-            id
-            title
-            price
-            sku
-          }
-        }
-      }
-    }
-    userErrors {
-      field
-      message
-    }
-  }
-}
-`;
-
-    // Step 1: Create the product
-    const response = await axios.post(
-      `https://${shop}/admin/api/2024-04/graphql.json`,
-      { query: mutation },
-      {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    // Step 1: Create the product with productSet
+    const input = buildProductSetInput(normalizedProduct, options, variants);
+    const createdProduct = await setProduct(shop, input, { accessToken });
 
-    const productData = response.data.data.productCreate;
-    if (productData.userErrors && productData.userErrors.length > 0) {
-      return res.status(400).json({ errors: productData.userErrors });
-    }
+    // Remember the Spade id (so /upsert updates this product rather than duplicating it) and
+    // the status we wrote (so the products/update webhook this triggers isn't reported to Spade)
+    productMap.saveMapping(shop, normalizedProduct.id, {
+      productId: createdProduct.id,
+      inputHash: null,
+      media: [],
+      status: createdProduct.status
+    });
+
+    // Step 2: Set starting stock at the configured location
+    const inventory = await pushInventory(shop, createdProduct, normalizedProduct.stock, { accessToken });
 
-    // Step 2: Attach media if present
+    // Step 3: Attach media if present
     let mediaResponse = null;
-    if (media.length > 0 && productData.product && productData.product.id) {
-      const mediaMutation = `
-mutation {
-  productCreateMedia(
-    productId: "${productData.product.id}",
-    media: [
-      ${media.map(m => `{
-        mediaContentType: ${m.mediaContentType},
-        originalSource: "${gqlEscape(m.originalSource)}"
-      }`).join(',\n      ')}
-    ]
-  ) {
-    media {
-      ... on MediaImage {
-        id
-        status
-        image {
-          url
-        }
-      }
-    }
-    mediaUserErrors {
-      field
-      message
-    }
-  }
-}
-      `;
-      
+    let variantMedia = [];
+    if (media.length > 0 && createdProduct && createdProduct.id) {
       try {
-        const mediaRes = await axios.post(
-          `https://${shop}/admin/api/2024-04/graphql.json`,
-          { query: mediaMutation },
-          {
-            headers: {
-              'X-Shopify-Access-Token': accessToken,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        mediaResponse = mediaRes.data.data.productCreateMedia;
+        // Files on localhost or private hosts are downloaded here and staged on Shopify
+        mediaResponse = await uploadProductMedia(shop, createdProduct.id, media, { accessToken });
+
+        // Step 4: Show each variant its own attribute value's image
+        const links = buildVariantMediaLinks(normalizedProduct, options, variants);
+        variantMedia = await linkVariantMedia(shop, createdProduct, links, mediaResponse.files, { accessToken });
       } catch (mediaError) {
-        console.error('Media upload error:', mediaError.response?.data || mediaError.message);
+        console.error('Media upload error:', mediaError.details || mediaError.message);
         // Continue even if media upload fails
       }
     }
 
+    // Step 5: Store and manufacturer collections, which pick the product up by tag
+    const collections = await assignProductCollections(shop, normalizedProduct, { accessToken });
+
+    // Step 6: Per-locale title, description and option names
+    const translations = await registerProductTranslations(shop, createdProduct.id, normalizedProduct.translations, { accessToken });
+
+    // Now with the media that made it onto the product
+    productMap.saveMapping(shop, normalizedProduct.id, {
+      productId: createdProduct.id,
+      inputHash: null,
+      media: mediaRecords(mediaResponse),
+      status: createdProduct.status
+    });
+
     // Return comprehensive response
     return res.status(200).json({
-      product: productData.product,
+      product: createdProduct,
+      format: normalized.format,
+      pricing,
+      inventory,
       media: mediaResponse,
+      variant_media: variantMedia,
+      collections,
+      translations,
       source_data: {
         original_id: normalizedProduct.id,
         price_range: normalizedProduct.price_range,
@@ -381,18 +172,381 @@ mutation {
       }
     });
   } catch (error) {
+    if (error instanceof InputValidationError) return res.status(error.status).json(error.toJSON());
     console.error('Product creation error:', error);
-    
-    if (error.response) {
-      return res.status(error.response.status || 500).json({
-        error: error.response.data,
-        message: error.response.data.errors || error.response.data.message || 'Shopify API error'
-      });
-    } else {
-      return res.status(500).json({
-        error: error.message || 'Unknown error'
-      });
+    return sendShopifyError(res, error, 'Unknown error');
+  }
+});
+
+// Dry run of /create: the exact productSet input and media that would be sent, plus
+// anything Shopify would reject. Never calls Shopify, so no access token is needed.
+router.post('/preview', (req, res) => {
+  const { product } = req.body;
+
+  if (!product) {
+    return res.status(400).json({ error: 'Product JSON is required' });
+  }
+
+  const pricing = requestPricing(req, res);
+  if (!pricing) return;
+
+  const normalized = requestProduct(req, res);
+  if (!normalized) return;
+  const normalizedProduct = normalized.product;
+
+  try {
+    const { options, variants } = buildOptionsAndVariants(normalizedProduct, pricing);
+    const input = buildProductSetInput(normalizedProduct, options, variants);
+    const media = buildMedia(normalizedProduct);
+    const errors = validateProduct(normalizedProduct, options, variants, pricing);
+
+    return res.status(200).json({
+      valid: errors.length === 0,
+      errors,
+      format: normalized.format,
+      pricing,
+      input,
+      media,
+      variant_media: buildVariantMediaLinks(normalizedProduct, options, variants),
+      translations: normalizedProduct.translations || {}
+    });
+  } catch (error) {
+    if (error instanceof InputValidationError) {
+      return res.status(200).json({ valid: false, errors: error.errors, format: normalized.format, pricing });
+    }
+    return res.status(400).json({ error: 'Invalid product', message: error.message });
+  }
+});
+
+// Create or update by Spade product id; responds with status created, updated or unchanged
+router.post('/upsert', async (req, res) => {
+  const { product } = req.body;
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  if (!product) {
+    return res.status(400).json({ error: 'Product JSON is required' });
+  }
+
+  if (product.id === undefined || product.id === null) {
+    return res.status(400).json({ error: 'Product id is required for upsert' });
+  }
+
+  const pricing = requestPricing(req, res);
+  if (!pricing) return;
+
+  const normalized = requestProduct(req, res);
+  if (!normalized) return;
+
+  try {
+    const result = await upsertProduct(shop, product, { accessToken, pricing, format: normalized.format });
+
+    return res.status(200).json({
+      status: result.status,
+      product: result.product,
+      format: normalized.format,
+      pricing,
+      inventory: result.inventory,
+      media: result.media,
+      removed_media: result.removedMedia,
+      variant_media: result.variantMedia,
+      collections: result.collections,
+      translations: result.translations,
+      source_data: {
+        original_id: result.normalizedProduct.id,
+        price_range: result.normalizedProduct.price_range,
+        stock: result.normalizedProduct.stock,
+        tags: result.normalizedProduct.tags
+      }
+    });
+  } catch (error) {
+    if (error instanceof InputValidationError) return res.status(error.status).json(error.toJSON());
+    console.error('Product upsert error:', error);
+    return sendShopifyError(res, error, 'Unknown error');
+  }
+});
+
+// Start a bulk import of an array of Spade products (all in body.format, or each detected);
+// products that don't match their format are reported as failed, and ones already on the shop
+// as skipped (use /upsert for those). Poll GET /import/:jobId for results
+router.post('/import', async (req, res) => {
+  const { products } = req.body;
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  if (!Array.isArray(products) || products.length === 0) {
+    return res.status(400).json({ error: 'A non-empty products array is required' });
+  }
+
+  const pricing = requestPricing(req, res);
+  if (!pricing) return;
+
+  try {
+    const job = await startImport(shop, products, { accessToken, pricing, format: req.body.format });
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      pricing,
+      summary: summarizeJob(job),
+      products: job.products
+    });
+  } catch (error) {
+    console.error('Product import error:', error);
+    return sendShopifyError(res, error, 'Failed to start product import');
+  }
+});
+
+router.get('/import/:jobId', async (req, res) => {
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  try {
+    const job = await getImportJob(shop, req.params.jobId, { accessToken });
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    return res.status(200).json({
+      jobId: job.id,
+      status: job.status,
+      errorCode: job.errorCode,
+      summary: summarizeJob(job),
+      translationStatus: job.translationStatus,
+      products: job.products
+    });
+  } catch (error) {
+    console.error('Import job status error:', error);
+    return sendShopifyError(res, error, 'Failed to fetch import job');
+  }
+});
+
+// Shopify product CSV for an array of Spade products, one row per variant, for merchants
+// to review or edit in a spreadsheet. Never calls Shopify, so no access token is needed.
+// Responds with the CSV, or { csv, rows, errors } when the client asks for JSON.
+router.post('/csv/export', (req, res) => {
+  const { products } = req.body;
+
+  if (!Array.isArray(products) || products.length === 0) {
+    return res.status(400).json({ error: 'A non-empty products array is required' });
+  }
+
+  const pricing = requestPricing(req, res);
+  if (!pricing) return;
+
+  const result = exportProductsCsv(products, pricing, req.body.format);
+  if (result.rows === 0) {
+    return res.status(422).json({ error: 'None of the products could be exported', errors: result.errors });
+  }
+
+  if (req.accepts(['text/csv', 'application/json']) === 'application/json') {
+    return res.status(200).json(result);
+  }
+
+  res.set('Content-Disposition', 'attachment; filename="products.csv"');
+  res.set('X-Export-Errors', String(result.errors.length));
+  return res.status(200).type('text/csv').send(result.csv);
+});
+
+// Parse a Shopify product CSV (a text/csv body, or { csv } as JSON) back into normalized
+// products that /create, /upsert and /import accept with format "legacy"
+router.post('/csv/import', express.text({ type: 'text/csv', limit: '10mb' }), (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return res.status(400).json({ error: 'A CSV body or { csv } is required' });
+  }
+
+  const { products, errors } = importProductsCsv(csv);
+  return res.status(200).json({ format: 'legacy', products, errors });
+});
+
+// Create any missing spade.* metafield definitions (normally done on install)
+router.post('/metafield-definitions', async (req, res) => {
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  try {
+    const definitions = await ensureMetafieldDefinitions(shop, { accessToken });
+    return res.status(200).json({ definitions });
+  } catch (error) {
+    console.error('Metafield definition error:', error);
+    return sendShopifyError(res, error, 'Failed to create metafield definitions');
+  }
+});
+
+// Store and manufacturer collections created for this shop, with product counts
+router.get('/collections', async (req, res) => {
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  try {
+    const collections = await listCollections(shop, { accessToken });
+    return res.status(200).json({ collections });
+  } catch (error) {
+    console.error('Collection list error:', error);
+    return sendShopifyError(res, error, 'Failed to list collections');
+  }
+});
+
+// Recreate deleted collections, fix edited rules, and add any missing for existing products
+router.post('/collections/rebuild', async (req, res) => {
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  try {
+    const collections = await rebuildCollections(shop, { accessToken });
+    return res.status(200).json({ collections });
+  } catch (error) {
+    console.error('Collection rebuild error:', error);
+    return sendShopifyError(res, error, 'Failed to rebuild collections');
+  }
+});
+
+// Shop-wide default pricing strategy, used when a request doesn't send its own
+router.get('/pricing', (req, res) => {
+  res.json({ pricing: resolvePricing(req.shop), settings: getShopPricing(req.shop) });
+});
+
+router.put('/pricing', (req, res) => {
+  try {
+    const settings = saveShopPricing(req.shop, req.body || {});
+    res.json({ pricing: resolvePricing(req.shop), settings });
+  } catch (error) {
+    if (!(error instanceof PricingError)) throw error;
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Push Spade stock for an existing product without re-creating it.
+// :id is the Spade product id, or a URL-encoded Shopify product GID. body.locationId
+// (a location GID or numeric id) overrides the default location.
+router.post('/:id/inventory', async (req, res) => {
+  const { stock, locationId } = req.body;
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  if (stock === undefined || stock === null) {
+    return res.status(400).json({ error: 'stock is required' });
+  }
+
+  const resolved = resolveProduct(shop, req.params.id);
+  if (!resolved) {
+    return res.status(404).json({ error: 'No Shopify product found for this id' });
+  }
+  const { productId } = resolved;
+
+  try {
+    const product = await getProduct(shop, productId, { accessToken });
+    if (!product) {
+      return res.status(404).json({ error: 'Shopify product no longer exists' });
+    }
+
+    const options = { accessToken };
+    if (locationId) options.locationId = locationId;
+    const inventory = await syncProductInventory(shop, product, stock, options);
+
+    return res.status(200).json({ productId, inventory });
+  } catch (error) {
+    console.error('Inventory update error:', error);
+    return sendShopifyError(res, error, 'Failed to update inventory');
+  }
+});
+
+// Publish, unpublish or archive. :id is a Spade product id or a URL-encoded product GID.
+router.put('/:id/status', async (req, res) => {
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  const status = String(req.body.status || '').toUpperCase();
+  if (!PRODUCT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${PRODUCT_STATUSES.join(', ')}` });
+  }
+
+  const resolved = resolveProduct(shop, req.params.id);
+  if (!resolved) {
+    return res.status(404).json({ error: 'No Shopify product found for this id' });
+  }
+
+  // Record the status before writing it, since the products/update webhook can arrive before
+  // productUpdate returns and would otherwise report our own change back to Spade
+  const tracked = resolved.spadeId !== null;
+  if (tracked) {
+    productMap.saveMapping(shop, resolved.spadeId, { ...resolved.mapping, status });
+  }
+
+  try {
+    const product = await updateProductStatus(shop, resolved.productId, status, { accessToken });
+    return res.status(200).json({ product, spadeId: resolved.spadeId });
+  } catch (error) {
+    if (tracked) {
+      productMap.saveMapping(shop, resolved.spadeId, resolved.mapping);
+    }
+    console.error('Product status error:', error);
+    return sendShopifyError(res, error, 'Failed to update product status');
+  }
+});
+
+// Delete from Shopify and forget the mapping. :id is a Spade product id or a URL-encoded product GID.
+router.delete('/:id', async (req, res) => {
+  const shop = req.shop;
+  const accessToken = tokenStore.getToken(shop);
+
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Shop not authenticated or access token not found' });
+  }
+
+  const resolved = resolveProduct(shop, req.params.id);
+  if (!resolved) {
+    return res.status(404).json({ error: 'No Shopify product found for this id' });
+  }
+
+  // Drop the mapping before deleting so the products/delete webhook isn't reported back to Spade
+  if (resolved.spadeId !== null) {
+    productMap.removeMapping(shop, resolved.spadeId);
+  }
+
+  try {
+    const deletedProductId = await deleteProduct(shop, resolved.productId, { accessToken });
+    return res.status(200).json({ deletedProductId, spadeId: resolved.spadeId });
+  } catch (error) {
+    // Put the mapping back so a retry (or upsert) still finds the product
+    if (resolved.spadeId !== null) {
+      productMap.saveMapping(shop, resolved.spadeId, resolved.mapping);
     }
+    console.error('Product delete error:', error);
+    return sendShopifyError(res, error, 'Failed to delete product');
   }
 });
 
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { sendShopifyError } = require('../lib/shopifyClient');
+const { getSubscriptionStatus, registerWebhooks } = require('../lib/webhookSubscriptions');
+
+// GET / - the shop's current webhook subscriptions compared with the configured topics
+router.get('/', async (req, res) => {
+  try {
+    const status = await getSubscriptionStatus(req.shop);
+    res.json(status);
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    sendShopifyError(res, error, 'Failed to list webhook subscriptions');
+  }
+});
+
+// POST /repair - create missing subscriptions and re-point ones with the wrong callback URL
+router.post('/repair', async (req, res) => {
+  try {
+    const result = await registerWebhooks(req.shop);
+    res.json(result);
+  } catch (error) {
+    console.error('Error repairing webhook subscriptions:', error);
+    sendShopifyError(res, error, 'Failed to repair webhook subscriptions');
+  }
+});
+
+module.exports = router;
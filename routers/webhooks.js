@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const {
+  registerWebhookHandler,
+  verifyWebhookHMAC,
+  isDuplicate,
+  markProcessed,
+  dispatchWebhook
+} = require('../lib/webhooks');
+const { isValidShop } = require('../lib/security');
+const { handleProductUpdate, handleProductDelete } = require('../lib/productEvents');
+const { handleBulkOperationFinish } = require('../lib/bulkImport');
+const {
+  writeAuditRecord,
+  exportCustomerData,
+  redactCustomerData,
+  redactShopData
+} = require('../lib/privacy');
+
+// Shopify app uninstall webhook. Removes the token and everything else we keep for the
+// shop right away; shop/redact repeats the same cleanup 48 hours later.
+registerWebhookHandler('app/uninstalled', async ({ shop }) => {
+  const { sources } = await redactShopData(shop);
+  console.log(`App uninstalled by ${shop}, removed ${sources.join(', ')}`);
+});
+
+// Merchant edits made in the Shopify admin, reported back to Spade
+registerWebhookHandler('products/update', handleProductUpdate);
+registerWebhookHandler('products/delete', handleProductDelete);
+
+// Bulk product imports finishing, so their results and translations don't wait for a poll
+registerWebhookHandler('bulk_operations/finish', handleBulkOperationFinish);
+
+// Mandatory GDPR webhooks. Every request is written to the audit log, including failures.
+function privacyHandler(action) {
+  return async ({ shop, topic, webhookId, payload }) => {
+    const audit = {
+      topic,
+      shop,
+      webhookId,
+      customerId: payload.customer && payload.customer.id,
+      orderIds: payload.orders_requested || payload.orders_to_redact || []
+    };
+
+    try {
+      const result = await action(shop, payload);
+      writeAuditRecord({ ...audit, status: 'completed', result });
+    } catch (error) {
+      writeAuditRecord({ ...audit, status: 'failed', error: error.message });
+      throw error;
+    }
+  };
+}
+
+registerWebhookHandler('customers/data_request', privacyHandler(exportCustomerData));
+registerWebhookHandler('customers/redact', privacyHandler(redactCustomerData));
+registerWebhookHandler('shop/redact', privacyHandler(redactShopData));
+
+// Keep the body as a Buffer: the HMAC is computed over the exact bytes Shopify sent.
+// This router must be mounted before any JSON body parser.
+router.use(express.raw({ type: '*/*', limit: '5mb' }));
+
+// POST / with X-Shopify-Topic, X-Shopify-Hmac-Sha256, X-Shopify-Shop-Domain and X-Shopify-Webhook-Id
+router.post('/', async (req, res) => {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+
+  if (!verifyWebhookHMAC(req.body, hmac)) {
+    console.warn(`Rejected webhook ${topic || '(no topic)'} with invalid HMAC`);
+    return res.status(401).send('HMAC verification failed');
+  }
+
+  if (!topic || !isValidShop(shop)) {
+    return res.status(400).send('Missing webhook topic or shop domain');
+  }
+
+  if (isDuplicate(webhookId)) {
+    return res.status(200).send('Duplicate webhook ignored');
+  }
+
+  let payload;
+  try {
+    payload = req.body.length > 0 ? JSON.parse(req.body.toString('utf8')) : {};
+  } catch (error) {
+    return res.status(400).send('Invalid JSON payload');
+  }
+
+  try {
+    const handled = await dispatchWebhook({
+      shop,
+      topic,
+      webhookId,
+      apiVersion: req.get('X-Shopify-API-Version'),
+      payload
+    });
+
+    if (handled === 0) {
+      console.warn(`No handler registered for webhook topic ${topic}`);
+    }
+
+    markProcessed(webhookId);
+    res.status(200).send('Webhook received');
+  } catch (error) {
+    // Non-2xx makes Shopify retry the delivery later
+    console.error(`Webhook ${topic} error for ${shop}:`, error);
+    res.status(500).send('Webhook error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// Offline Shopify product CSV conversion; needs no shop or access token.
+//
+//   node scripts/product-csv.js export products.json [--format spade-sample] [--pricing max] > products.csv
+//   node scripts/product-csv.js import products.csv > products.normalized.json
+//
+// Products that can't be converted are listed on stderr and the exit code is 1.
+
+const fs = require('fs');
+const { exportProductsCsv, importProductsCsv } = require('../lib/productCsv');
+const { resolvePricing } = require('../lib/pricing');
+
+function usage() {
+  console.error('Usage: product-csv.js export <products.json> [--format <name>] [--pricing <strategy>]');
+  console.error('       product-csv.js import <products.csv>');
+  process.exit(2);
+}
+
+function flag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function reportErrors(errors) {
+  errors.forEach(failure => {
+    const which = failure.handle || (failure.id !== undefined ? `id ${failure.id}` : `#${failure.index}`);
+    console.error(`${which}: ${failure.error}`);
+    (failure.errors || []).forEach(e => console.error(`  ${e.field} ${e.message}`));
+  });
+  if (errors.length > 0) process.exitCode = 1;
+}
+
+function main(args) {
+  const [command, file] = args;
+  if (!file) usage();
+
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (command === 'export') {
+    const parsed = JSON.parse(text);
+    const products = Array.isArray(parsed) ? parsed : [parsed];
+    const { csv, errors } = exportProductsCsv(products, resolvePricing(null, flag(args, 'pricing')), flag(args, 'format'));
+    process.stdout.write(csv);
+    reportErrors(errors);
+  } else if (command === 'import') {
+    const { products, errors } = importProductsCsv(text);
+    process.stdout.write(`${JSON.stringify(products, null, 2)}\n`);
+    reportErrors(errors);
+  } else {
+    usage();
+  }
+}
+
+main(process.argv.slice(2));
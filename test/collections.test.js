@@ -0,0 +1,70 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { ensureCollections } = require('../lib/collections');
+
+const options = { accessToken: 'token' };
+const bothTags = value => [
+  { column: 'TAG', relation: 'EQUALS', condition: value },
+  { column: 'TAG', relation: 'EQUALS', condition: 'spade-product' }
+];
+
+// Answers collection lookups from `existing` and records every create and update input
+function fakeShopify(existing = []) {
+  const writes = [];
+  axios.post = async (url, { query, variables }) => {
+    const name = query.match(/(?:query|mutation) (\w+)/)[1];
+    let data;
+
+    if (name === 'CollectionByHandle') {
+      data = { collections: { nodes: existing.filter(c => `handle:${c.handle}` === variables.query) } };
+    } else if (name === 'Publications') {
+      data = { publications: { nodes: [{ id: 'gid://shopify/Publication/1', name: 'Online Store' }] } };
+    } else if (name === 'PublishablePublish') {
+      data = { publishablePublish: { userErrors: [] } };
+    } else {
+      writes.push({ name, input: variables.input });
+      const collection = { id: variables.input.id || 'gid://shopify/Collection/1', handle: variables.input.handle, ruleSet: variables.input.ruleSet };
+      data = { [name === 'CollectionCreate' ? 'collectionCreate' : 'collectionUpdate']: { collection, userErrors: [] } };
+    }
+    return { status: 200, data: { data, extensions: {} } };
+  };
+  return writes;
+}
+
+test('matches products carrying both the group tag and the Spade marker tag', async () => {
+  const writes = fakeShopify();
+  const [result] = await ensureCollections('new.myshopify.com', [{ kind: 'store', value: 'Atelier' }], options);
+
+  assert.equal(result.action, 'created');
+  assert.equal(writes[0].input.handle, 'spade-store-atelier');
+  assert.deepEqual(writes[0].input.ruleSet, { appliedDisjunctively: false, rules: bothTags('Atelier') });
+});
+
+test('adds the marker rule to an existing collection that only matches the group tag', async () => {
+  const writes = fakeShopify([{
+    id: 'gid://shopify/Collection/7',
+    handle: 'spade-store-atelier',
+    ruleSet: { appliedDisjunctively: false, rules: [{ column: 'TAG', relation: 'EQUALS', condition: 'Atelier' }] }
+  }]);
+
+  const [result] = await ensureCollections('old.myshopify.com', [{ kind: 'store', value: 'Atelier' }], options);
+
+  assert.equal(result.action, 'updated');
+  assert.deepEqual(writes.map(write => [write.name, write.input.id]), [['CollectionUpdate', 'gid://shopify/Collection/7']]);
+  assert.deepEqual(writes[0].input.ruleSet.rules, bothTags('Atelier'));
+});
+
+test('switches a collection set to match any condition back to all of them', async () => {
+  const writes = fakeShopify([{
+    id: 'gid://shopify/Collection/8',
+    handle: 'spade-manufacturer-acme',
+    ruleSet: { appliedDisjunctively: true, rules: bothTags('Acme') }
+  }]);
+
+  const [result] = await ensureCollections('any.myshopify.com', [{ kind: 'manufacturer', value: 'Acme' }], options);
+
+  assert.equal(result.action, 'updated');
+  assert.equal(writes[0].input.ruleSet.appliedDisjunctively, false);
+});
@@ -0,0 +1,85 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeInput, detectInputFormat, InputValidationError } = require('../lib/inputAdapters');
+
+const sample = {
+  id: 7,
+  name: 'Linen shirt',
+  stock: 4,
+  is_active: true,
+  store: { name: 'Atelier' },
+  sample: {
+    title: 'Shirt',
+    sample_media: [{ media: 'shirt.jpg', is_featured: true }],
+    sample_attributes: [
+      {
+        name: 'color',
+        values: [
+          { name: 'white', price: '20', images: [{ image: 'white.jpg' }] },
+          { name: 'blue', price: '25' }
+        ]
+      }
+    ]
+  }
+};
+
+test('detects each format from its shape', () => {
+  assert.equal(detectInputFormat(sample), 'spade-sample');
+  assert.equal(detectInputFormat({ title: 'Mug', variants: [{ price: '5' }] }), 'shopify');
+  assert.equal(detectInputFormat({ title: 'Mug', price: '5' }), 'legacy');
+});
+
+test('flattens the spade sample format', () => {
+  const { format, product } = normalizeInput(sample);
+
+  assert.equal(format, 'spade-sample');
+  assert.equal(product.title, 'Linen shirt');
+  assert.equal(product.is_active, true);
+  assert.deepEqual(product.attributes.map(attr => attr.name), ['color']);
+  assert.deepEqual(product.attributes[0].values.map(val => val.name), ['white', 'blue']);
+  assert.deepEqual(product.media.map(m => m.media), ['shirt.jpg', 'white.jpg']);
+  assert.deepEqual(product.media[1], { media: 'white.jpg', attribute: 'color', value: 'white' });
+  assert.ok(product.tags.includes('spade-product'));
+  assert.ok(product.tags.includes('Atelier'));
+});
+
+test('keeps shopify variants as listed', () => {
+  const { product } = normalizeInput({
+    title: 'Mug',
+    options: [{ name: 'Size', values: ['S', 'L'] }],
+    variants: [
+      { option1: 'S', price: '5', sku: 'MUG-S', inventory_quantity: 2 },
+      { option1: 'L', price: '7', compare_at_price: '9', inventory_quantity: 3 }
+    ]
+  }, 'shopify');
+
+  assert.equal(product.price, '5');
+  assert.deepEqual(product.explicit_variants, [
+    { options: ['S'], price: '5', compare_price: undefined, sku: 'MUG-S' },
+    { options: ['L'], price: '7', compare_price: '9', sku: undefined }
+  ]);
+  assert.deepEqual(product.stock, { S: 2, L: 3 });
+});
+
+test('carries an archived shopify status through', () => {
+  const { product } = normalizeInput({ title: 'Mug', status: 'archived', variants: [{ price: '5' }] }, 'shopify');
+  assert.equal(product.status, 'ARCHIVED');
+});
+
+test('turns legacy string values into value objects', () => {
+  const { product } = normalizeInput({ title: 'Mug', price: '5', attributes: [{ name: 'Size', values: ['S', 'L'] }] }, 'legacy');
+  assert.deepEqual(product.attributes[0].values, [{ name: 'S' }, { name: 'L' }]);
+});
+
+test('reports field-level errors for input that does not match its format', () => {
+  assert.throws(
+    () => normalizeInput({ title: '', price: 'free' }, 'legacy'),
+    error => {
+      assert.ok(error instanceof InputValidationError);
+      assert.equal(error.status, 422);
+      assert.deepEqual(error.errors.map(e => e.field).sort(), ['price', 'title']);
+      return true;
+    }
+  );
+});
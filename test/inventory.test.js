@@ -0,0 +1,69 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { resolveVariantQuantity } = require('../lib/productBuilder');
+const { syncProductInventory } = require('../lib/inventory');
+
+const shop = 'stock.myshopify.com';
+
+const product = {
+  id: 'gid://shopify/Product/1',
+  variants: {
+    edges: [
+      { node: { id: 'V1', sku: 'OR-S', title: 'orange / S', selectedOptions: [{ name: 'color', value: 'orange' }, { name: 'size', value: 'S' }], inventoryItem: { id: 'I1', tracked: false } } },
+      { node: { id: 'V2', sku: 'OR-L', title: 'orange / L', selectedOptions: [{ name: 'color', value: 'orange' }, { name: 'size', value: 'L' }], inventoryItem: { id: 'I2', tracked: true } } }
+    ]
+  }
+};
+
+// Records each mutation's variables and answers with empty successful payloads
+function fakeShopify() {
+  const calls = [];
+  axios.post = async (url, { query, variables }) => {
+    const name = query.match(/mutation (\w+)/)[1];
+    calls.push({ name, variables });
+    const data = name === 'InventorySetQuantities'
+      ? { inventorySetQuantities: { inventoryAdjustmentGroup: { reason: 'correction', changes: [] }, userErrors: [] } }
+      : { inventoryItemUpdate: { inventoryItem: { id: variables.id, tracked: true }, userErrors: [] } };
+    return { status: 200, data: { data, extensions: {} } };
+  };
+  return calls;
+}
+
+test('reads per-variant stock by SKU or option title', () => {
+  assert.equal(resolveVariantQuantity(5, { options: ['S'] }), 5);
+  assert.equal(resolveVariantQuantity({ 'OR-S': 3 }, { sku: 'OR-S', options: ['orange', 'S'] }), 3);
+  assert.equal(resolveVariantQuantity({ 'orange / S': '4' }, { options: ['orange', 'S'] }), 4);
+  assert.equal(resolveVariantQuantity({}, { options: ['orange', 'S'] }), null);
+  assert.equal(resolveVariantQuantity(undefined, { options: ['S'] }), null);
+});
+
+test('tracks untracked variants and sets each variant\'s quantity', async () => {
+  const calls = fakeShopify();
+  const result = await syncProductInventory(shop, product, { 'OR-S': 3, 'orange / L': 7 }, { accessToken: 'token', locationId: 'gid://shopify/Location/9' });
+
+  assert.deepEqual(calls.map(call => call.name), ['InventoryItemUpdate', 'InventorySetQuantities']);
+  assert.equal(calls[0].variables.id, 'I1');
+  assert.deepEqual(calls[1].variables.input.quantities, [
+    { inventoryItemId: 'I1', locationId: 'gid://shopify/Location/9', quantity: 3 },
+    { inventoryItemId: 'I2', locationId: 'gid://shopify/Location/9', quantity: 7 }
+  ]);
+  assert.deepEqual(result.variants.map(v => [v.variantId, v.quantity]), [['V1', 3], ['V2', 7]]);
+});
+
+test('accepts a numeric location id', async () => {
+  const calls = fakeShopify();
+  const result = await syncProductInventory(shop, product, 2, { accessToken: 'token', locationId: 123 });
+
+  assert.equal(result.locationId, 'gid://shopify/Location/123');
+  assert.ok(calls[1].variables.input.quantities.every(q => q.locationId === 'gid://shopify/Location/123'));
+});
+
+test('skips the quantity update when no variant has stock', async () => {
+  const calls = fakeShopify();
+  const result = await syncProductInventory(shop, product, { other: 1 }, { accessToken: 'token', locationId: 1 });
+
+  assert.deepEqual(calls.map(call => call.name), ['InventoryItemUpdate']);
+  assert.equal(result.adjustment, null);
+});
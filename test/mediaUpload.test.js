@@ -0,0 +1,129 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const axios = require('axios');
+
+process.env.MEDIA_DOWNLOAD_ALLOWLIST = 'http://spade-api:8000';
+const { isPublicUrl, needsStagedUpload, stageRemoteFile, uploadProductMedia } = require('../lib/mediaUpload');
+
+const shop = 'media.myshopify.com';
+
+// Records the config of each download and stops there, before anything is staged
+function fakeDownloads() {
+  const downloads = [];
+  axios.get = async (url, config) => {
+    downloads.push({ url, config });
+    throw new Error('stopped after download');
+  };
+  return downloads;
+}
+
+test('treats only public http(s) hosts as fetchable by Shopify', () => {
+  assert.equal(isPublicUrl('https://cdn.example.com/a.jpg'), true);
+  assert.equal(isPublicUrl('http://8.8.8.8/a.jpg'), true);
+  assert.equal(isPublicUrl('ftp://cdn.example.com/a.jpg'), false);
+  assert.equal(isPublicUrl('not a url'), false);
+  assert.equal(isPublicUrl('http://localhost:8000/a.jpg'), false);
+  assert.equal(isPublicUrl('http://spade-api:8000/a.jpg'), false);
+  assert.equal(isPublicUrl('http://media.internal/a.jpg'), false);
+});
+
+test('rejects private, loopback and link-local addresses, including IPv4-mapped ones', () => {
+  for (const host of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '[::1]', '[fd00::1]', '[fe80::1]', '[::ffff:127.0.0.1]', '[::ffff:a9fe:a9fe]']) {
+    assert.equal(isPublicUrl(`http://${host}/a.jpg`), false, host);
+  }
+  assert.equal(isPublicUrl('http://[::ffff:8.8.8.8]/a.jpg'), true);
+});
+
+test('stages videos, models and private images, but not public images or external videos', () => {
+  assert.equal(needsStagedUpload({ mediaContentType: 'IMAGE', originalSource: 'https://cdn.example.com/a.jpg' }), false);
+  assert.equal(needsStagedUpload({ mediaContentType: 'IMAGE', originalSource: 'http://localhost:8000/a.jpg' }), true);
+  assert.equal(needsStagedUpload({ mediaContentType: 'VIDEO', originalSource: 'https://cdn.example.com/a.mp4' }), true);
+  assert.equal(needsStagedUpload({ mediaContentType: 'EXTERNAL_VIDEO', originalSource: 'https://youtu.be/x' }), false);
+});
+
+test('refuses to download private URLs that are not an allowed media host', async () => {
+  const downloads = fakeDownloads();
+
+  await assert.rejects(stageRemoteFile(shop, 'http://169.254.169.254/latest/meta-data'), /Refusing to download/);
+  await assert.rejects(stageRemoteFile(shop, 'http://10.0.0.5/a.jpg'), /Refusing to download/);
+  assert.equal(downloads.length, 0);
+});
+
+test('downloads from Spade and the allowlist directly, and caps the size', async () => {
+  const downloads = fakeDownloads();
+
+  await assert.rejects(stageRemoteFile(shop, 'http://localhost:8000/media/a.jpg'), /stopped after download/);
+  await assert.rejects(stageRemoteFile(shop, 'http://spade-api:8000/media/a.mp4', 'VIDEO'), /stopped after download/);
+
+  assert.equal(downloads[0].config.lookup, undefined);
+  assert.equal(downloads[0].config.maxContentLength, 20 * 1024 * 1024);
+  assert.equal(downloads[1].config.maxContentLength, 250 * 1024 * 1024);
+});
+
+test('refuses public names that resolve to a private address, on every connection', async t => {
+  const downloads = fakeDownloads();
+  await assert.rejects(stageRemoteFile(shop, 'https://cdn.example.com/a.jpg'), /stopped after download/);
+  const { lookup } = downloads[0].config;
+
+  const resolve = (addresses, hostname = 'cdn.example.com') => new Promise(done => {
+    t.mock.method(dns, 'lookup', (name, options, callback) => callback(null, addresses));
+    lookup(hostname, {}, (error, address) => done({ error, address }));
+  });
+
+  assert.equal((await resolve([{ address: '93.184.216.34', family: 4 }])).address, '93.184.216.34');
+  assert.match((await resolve([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.1', family: 4 }])).error.message, /private address/);
+  assert.match((await resolve([{ address: '::ffff:127.0.0.1', family: 6 }])).error.message, /private address/);
+});
+
+// Serves `files` (url -> content) as downloads and creates ready media for whatever is submitted
+function fakeMediaShopify(files) {
+  const submitted = [];
+  axios.get = async url => {
+    if (!(url in files)) throw new Error('Request failed with status code 404');
+    return { data: Buffer.from(files[url]), headers: { 'content-type': 'image/jpeg' } };
+  };
+  axios.post = async (url, { query, variables }) => {
+    let data;
+    if (/mutation ProductCreateMedia/.test(query)) {
+      submitted.push(...variables.media.map(m => m.originalSource));
+      const media = variables.media.map((m, i) => ({ id: `M${submitted.length - variables.media.length + i + 1}`, status: 'UPLOADED' }));
+      data = { productCreateMedia: { media, mediaUserErrors: [] } };
+    } else {
+      const nodes = submitted.map((source, i) => ({ id: `M${i + 1}`, status: 'READY' }));
+      data = { product: { media: { nodes } } };
+    }
+    return { status: 200, data: { data, extensions: {} } };
+  };
+  return submitted;
+}
+
+const publicImage = url => ({ mediaContentType: 'IMAGE', originalSource: url });
+
+test('hashes public images so the same picture under two URLs is attached once', async () => {
+  const submitted = fakeMediaShopify({ 'https://a.example.com/1.jpg': 'same', 'https://b.example.com/1.jpg': 'same' });
+  const { files } = await uploadProductMedia(shop, 'gid://shopify/Product/1', [
+    publicImage('https://a.example.com/1.jpg'),
+    publicImage('https://b.example.com/1.jpg')
+  ], { accessToken: 'token' });
+
+  assert.deepEqual(submitted, ['https://a.example.com/1.jpg']);
+  assert.deepEqual(files.map(file => [file.status, file.mediaId, file.staged]), [['ready', 'M1', false], ['duplicate', 'M1', false]]);
+  assert.equal(files[0].hash, files[1].hash);
+});
+
+test('skips public images already on the product and sends ones it can\'t download by URL', async () => {
+  const submitted = fakeMediaShopify({ 'https://a.example.com/1.jpg': 'kept' });
+  const known = await uploadProductMedia(shop, 'gid://shopify/Product/1', [publicImage('https://a.example.com/1.jpg')], { accessToken: 'token' });
+  const knownHashes = { [known.files[0].hash]: 'M-kept' };
+  submitted.length = 0;
+
+  const { files } = await uploadProductMedia(shop, 'gid://shopify/Product/1', [
+    publicImage('https://a.example.com/1.jpg'),
+    publicImage('https://a.example.com/missing.jpg')
+  ], { accessToken: 'token' }, knownHashes);
+
+  assert.deepEqual(submitted, ['https://a.example.com/missing.jpg']);
+  assert.deepEqual(files.map(file => [file.status, file.mediaId, file.hash]), [['existing', 'M-kept', known.files[0].hash], ['ready', 'M1', undefined]]);
+});
@@ -0,0 +1,62 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.SHOPIFY_API_KEY = 'api-key';
+process.env.SHOPIFY_API_SECRET = 'api-secret';
+process.env.SHOPIFY_SCOPES = 'read_products,write_products';
+process.env.SHOPIFY_HOST = 'https://app.example.com';
+const { buildAuthURL, verifyOAuthHMAC, verifyOAuthState } = require('../lib/oauth');
+const { isValidShop, safeCompare, generateNonce } = require('../lib/security');
+
+// The callback query as Shopify would sign it
+function signed(query) {
+  const message = Object.keys(query).sort().map(key => `${key}=${query[key]}`).join('&');
+  return { ...query, hmac: crypto.createHmac('sha256', 'api-secret').update(message).digest('hex') };
+}
+
+test('accepts only myshopify.com shop domains', () => {
+  assert.equal(isValidShop('my-store.myshopify.com'), true);
+  assert.equal(isValidShop('my-store.myshopify.com.evil.com'), false);
+  assert.equal(isValidShop('evil.com/x.myshopify.com'), false);
+  assert.equal(isValidShop('-store.myshopify.com'), false);
+  assert.equal(isValidShop(undefined), false);
+});
+
+test('sends the state nonce and callback URL to the authorize page', () => {
+  const url = new URL(buildAuthURL('my-store.myshopify.com', 'nonce'));
+
+  assert.equal(url.origin, 'https://my-store.myshopify.com');
+  assert.equal(url.pathname, '/admin/oauth/authorize');
+  assert.equal(url.searchParams.get('client_id'), 'api-key');
+  assert.equal(url.searchParams.get('scope'), 'read_products,write_products');
+  assert.equal(url.searchParams.get('redirect_uri'), 'https://app.example.com/shopify/callback');
+  assert.equal(url.searchParams.get('state'), 'nonce');
+});
+
+test('verifies the callback HMAC over the sorted query', () => {
+  const query = signed({ shop: 'my-store.myshopify.com', code: 'abc', state: 'nonce', timestamp: '1700000000' });
+
+  assert.equal(verifyOAuthHMAC(query), true);
+  assert.equal(verifyOAuthHMAC({ ...query, code: 'other' }), false);
+  assert.equal(verifyOAuthHMAC({ ...query, hmac: undefined }), false);
+  assert.equal(verifyOAuthHMAC({ ...query, hmac: 'short' }), false);
+});
+
+test('requires the callback state to match the cookie nonce', () => {
+  const nonce = generateNonce();
+
+  assert.match(nonce, /^[0-9a-f]{32}$/);
+  assert.notEqual(generateNonce(), nonce);
+  assert.equal(verifyOAuthState(nonce, nonce), true);
+  assert.equal(verifyOAuthState(nonce, generateNonce()), false);
+  assert.equal(verifyOAuthState(undefined, nonce), false);
+  assert.equal(verifyOAuthState(nonce, undefined), false);
+});
+
+test('compares strings without throwing on length or type mismatches', () => {
+  assert.equal(safeCompare('abc', 'abc'), true);
+  assert.equal(safeCompare('abc', 'abcd'), false);
+  assert.equal(safeCompare('abc', null), false);
+});
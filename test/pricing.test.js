@@ -0,0 +1,53 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePricing, saveShopPricing, priceCombination, PricingError } = require('../lib/pricing');
+
+const product = { price: '10' };
+const combo = [{ name: 'orange', price: '12', surcharge: '2' }, { name: 'Large', price: '15' }];
+const key = { sku: 'OR-L', title: 'orange / Large' };
+
+test('max takes the highest value price, falling back to the product price', () => {
+  assert.equal(priceCombination(combo, 'price', { strategy: 'max' }, product, key), 15);
+  assert.equal(priceCombination([{ name: 'S' }], 'price', { strategy: 'max' }, product, key), 10);
+  assert.equal(priceCombination([{ name: 'S' }], 'price', { strategy: 'max' }, {}, key), null);
+});
+
+test('additive adds each surcharge, else each price, to the base price', () => {
+  assert.equal(priceCombination(combo, 'price', { strategy: 'additive' }, product, key), 27);
+  assert.equal(priceCombination(combo, 'price', { strategy: 'additive', basePrice: '1' }, product, key), 18);
+});
+
+test('first takes the first value that has a price', () => {
+  assert.equal(priceCombination(combo, 'price', { strategy: 'first' }, product, key), 12);
+  assert.equal(priceCombination([{ name: 'S' }], 'price', { strategy: 'first' }, product, key), 10);
+});
+
+test('table looks prices up by SKU, then option title, then falls back to max', () => {
+  const bySku = { strategy: 'table', priceTable: { 'OR-L': '30', 'orange / Large': '40' } };
+  const byTitle = { strategy: 'table', priceTable: { 'orange / Large': '40' } };
+  const missing = { strategy: 'table', priceTable: {} };
+
+  assert.equal(priceCombination(combo, 'price', bySku, product, key), 30);
+  assert.equal(priceCombination(combo, 'price', byTitle, product, key), 40);
+  assert.equal(priceCombination(combo, 'price', missing, product, key), 15);
+});
+
+test('compare-at prices ignore the product price fallback', () => {
+  assert.equal(priceCombination(combo, 'compare_price', { strategy: 'max' }, product, key), null);
+  assert.equal(priceCombination([{ compare_price: '18' }], 'compare_price', { strategy: 'max' }, product, key), 18);
+});
+
+test('resolves the request setting, then the shop setting, then the default', () => {
+  saveShopPricing('pricing.myshopify.com', { strategy: 'first' });
+
+  assert.deepEqual(resolvePricing('pricing.myshopify.com', 'additive'), { strategy: 'additive', source: 'request' });
+  assert.deepEqual(resolvePricing('pricing.myshopify.com'), { strategy: 'first', basePrice: undefined, priceTable: undefined, source: 'store' });
+  assert.deepEqual(resolvePricing('other.myshopify.com'), { strategy: 'max', source: 'default' });
+});
+
+test('rejects unknown strategies and incomplete settings', () => {
+  assert.throws(() => resolvePricing(null, 'cheapest'), PricingError);
+  assert.throws(() => resolvePricing(null, { strategy: 'table' }), PricingError);
+  assert.throws(() => resolvePricing(null, { strategy: 'additive', basePrice: 'ten' }), PricingError);
+});
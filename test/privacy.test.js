@@ -0,0 +1,58 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+process.env.TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+const tokenStore = require('../lib/tokenStore');
+const productMap = require('../lib/productMap');
+const pricing = require('../lib/pricing');
+const { dispatchWebhook } = require('../lib/webhooks');
+const { exportCustomerData, redactCustomerData, redactShopData } = require('../lib/privacy');
+require('../routers/webhooks');
+
+const shop = 'privacy.myshopify.com';
+const request = (id, customerId) => ({ customer: { id: customerId, email: `${customerId}@example.com` }, data_request: { id } });
+
+test('writes a data request export for the customer', async () => {
+  const { filePath } = await exportCustomerData(shop, request(1, 7));
+  const exported = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  assert.equal(exported.customer.email, '7@example.com');
+  assert.equal(exported.dataRequestId, 1);
+});
+
+test('deletes a customer\'s exports when the customer is redacted', async () => {
+  const first = await exportCustomerData(shop, request(2, 8));
+  const other = await exportCustomerData(shop, request(3, 88));
+
+  const { sources } = await redactCustomerData(shop, { customer: { id: 8 } });
+
+  assert.ok(sources.includes('privacy-exports'));
+  assert.equal(fs.existsSync(first.filePath), false);
+  assert.equal(fs.existsSync(other.filePath), true);
+});
+
+test('deletes every export of a shop when the shop is redacted', async () => {
+  const own = await exportCustomerData(shop, request(4, 9));
+  const otherShop = await exportCustomerData(`other-${shop}`, request(5, 9));
+
+  await redactShopData(shop);
+
+  assert.equal(fs.existsSync(own.filePath), false);
+  assert.equal(fs.existsSync(otherShop.filePath), true);
+});
+
+test('removes the token and the shop\'s data as soon as the app is uninstalled', async () => {
+  tokenStore.saveToken(shop, 'token', 'read_products');
+  productMap.saveMapping(shop, 1, { productId: 'gid://shopify/Product/1' });
+  productMap.saveMapping('other.myshopify.com', 1, { productId: 'gid://shopify/Product/2' });
+  pricing.saveShopPricing(shop, { strategy: 'first' });
+
+  await dispatchWebhook({ topic: 'app/uninstalled', shop, payload: {} });
+
+  assert.equal(tokenStore.getShop(shop), null);
+  assert.equal(productMap.getMapping(shop, 1), null);
+  assert.notEqual(productMap.getMapping('other.myshopify.com', 1), null);
+  assert.equal(pricing.getShopPricing(shop), null);
+});
@@ -0,0 +1,141 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SPADE_MEDIA_URL,
+  buildOptionsAndVariants,
+  buildMedia,
+  buildVariantMediaLinks,
+  buildProductSetInput
+} = require('../lib/productBuilder');
+const { InputValidationError } = require('../lib/inputAdapters');
+
+const product = {
+  title: 'Tee',
+  price: '10',
+  attributes: [
+    { name: 'color', values: [{ name: 'orange', price: '12', compare_price: '15', sku: 'OR' }, { name: 'blue', sku: 'BL' }] },
+    { name: 'size', values: [{ name: 'S', sku: 'S' }, { name: 'L', price: '14', compare_price: '13', sku: 'L' }] }
+  ]
+};
+
+test('expands attribute values into every combination', () => {
+  const { options, variants } = buildOptionsAndVariants(product);
+
+  assert.deepEqual(options, ['color', 'size']);
+  assert.deepEqual(variants.map(v => v.options.join(' / ')), ['orange / S', 'orange / L', 'blue / S', 'blue / L']);
+  assert.deepEqual(variants.map(v => v.sku), ['OR-S', 'OR-L', 'BL-S', 'BL-L']);
+  assert.deepEqual(variants.map(v => v.price), ['12.00', '14.00', '10.00', '14.00']);
+});
+
+test('builds the productSet input with options in first-seen order', () => {
+  const { options, variants } = buildOptionsAndVariants(product);
+  const input = buildProductSetInput({ ...product, is_active: true }, options, variants);
+
+  assert.equal(input.status, 'ACTIVE');
+  assert.deepEqual(input.productOptions, [
+    { name: 'color', position: 1, values: [{ name: 'orange' }, { name: 'blue' }] },
+    { name: 'size', position: 2, values: [{ name: 'S' }, { name: 'L' }] }
+  ]);
+  assert.deepEqual(input.variants[0].optionValues, [{ optionName: 'color', name: 'orange' }, { optionName: 'size', name: 'S' }]);
+  assert.deepEqual(input.variants[0].inventoryItem, { sku: 'OR-S' });
+});
+
+test('gives option-less products Shopify\'s default variant', () => {
+  const input = buildProductSetInput({ title: 'Mug', price: '5' }, [], []);
+  assert.deepEqual(input.variants.map(v => v.price), ['5.00']);
+  assert.equal(input.productOptions[0].values[0].name, 'Default Title');
+  assert.equal(input.status, undefined);
+});
+
+test('only keeps a compare-at price above the variant price', () => {
+  const { variants } = buildOptionsAndVariants(product);
+  assert.deepEqual(variants.map(v => v.compareAtPrice), ['15.00', '15.00', undefined, undefined]);
+});
+
+test('measures Spade unit prices per item unless a unit is given', () => {
+  const { variants } = buildOptionsAndVariants({
+    title: 'Tea',
+    attributes: [{ name: 'pack', values: [{ name: '6', price: '12', unit_price: '2' }, { name: '1kg', price: '30', unit_price: '15', unit: 'kg' }] }]
+  });
+
+  assert.deepEqual(variants.map(v => v.unitPriceMeasurement), [
+    { quantityValue: 6, quantityUnit: 'ITEM', referenceValue: 1, referenceUnit: 'ITEM' },
+    { quantityValue: 2, quantityUnit: 'KG', referenceValue: 1, referenceUnit: 'KG' }
+  ]);
+  assert.ok(variants.every(v => !('unitPrice' in v)));
+});
+
+test('sends no unit price measurement without a unit price or for an unknown unit', () => {
+  const { variants } = buildOptionsAndVariants({
+    title: 'Tea',
+    attributes: [{ name: 'pack', values: [{ name: 'plain', price: '12' }, { name: 'odd', price: '12', unit_price: '2', unit: 'bushel' }] }]
+  });
+  assert.deepEqual(variants.map(v => v.unitPriceMeasurement), [undefined, undefined]);
+});
+
+test('prices combinations with the given strategy', () => {
+  const { variants } = buildOptionsAndVariants(product, { strategy: 'first' });
+  assert.deepEqual(variants.map(v => v.price), ['12.00', '12.00', '10.00', '14.00']);
+});
+
+test('links each variant to the image of its first matching option value', () => {
+  const withImages = { ...product, media: [{ media: 'https://cdn.example.com/orange.jpg', attribute: 'color', value: 'orange' }] };
+  const { options, variants } = buildOptionsAndVariants(withImages);
+  const links = buildVariantMediaLinks(withImages, options, variants);
+
+  assert.deepEqual(links.filter(Boolean).map(link => link.title), ['orange / S', 'orange / L']);
+  assert.equal(links[0].source, 'https://cdn.example.com/orange.jpg');
+});
+
+test('rejects attributes that would produce too many variants before expanding them', () => {
+  const values = count => Array.from({ length: count }, (_, i) => ({ name: `v${i}` }));
+  const huge = { title: 'Huge', attributes: [{ name: 'a', values: values(1000) }, { name: 'b', values: values(1000) }, { name: 'c', values: values(1000) }] };
+
+  assert.throws(() => buildOptionsAndVariants(huge), error => {
+    assert.ok(error instanceof InputValidationError);
+    assert.equal(error.errors[0].code, 'TOO_MANY_VARIANTS');
+    assert.match(error.errors[0].message, /1000000000/);
+    return true;
+  });
+
+  const { variants } = buildOptionsAndVariants({ title: 'Max', attributes: [{ name: 'a', values: values(2) }, { name: 'b', values: values(1024) }] });
+  assert.equal(variants.length, 2048);
+});
+
+test('keeps explicit variants as listed', () => {
+  const { variants } = buildOptionsAndVariants({
+    title: 'Mug',
+    attributes: [{ name: 'Size', values: [{ name: 'S' }, { name: 'L' }] }],
+    explicit_variants: [{ options: ['L'], price: '7', compare_price: '9' }]
+  });
+  assert.deepEqual(variants, [{ price: '7.00', compareAtPrice: '9.00', sku: undefined, options: ['L'] }]);
+});
+
+test('an explicit status wins over is_active', () => {
+  assert.equal(buildProductSetInput({ title: 'Mug', is_active: false }, [], []).status, 'DRAFT');
+  assert.equal(buildProductSetInput({ title: 'Mug', is_active: false, status: 'ARCHIVED' }, [], []).status, 'ARCHIVED');
+});
+
+test('puts featured media first, resolves relative URLs and drops repeats', () => {
+  const media = buildMedia({
+    title: 'Tee',
+    media: [
+      { media: 'back.jpg' },
+      { media: '/media/front.jpg', is_featured: true },
+      { media: 'https://cdn.example.com/clip.mp4' },
+      { media: 'back.jpg', attribute: 'color', value: 'orange' }
+    ]
+  });
+
+  assert.deepEqual(media, [
+    { mediaContentType: 'IMAGE', originalSource: `${SPADE_MEDIA_URL}/media/front.jpg`, alt: 'Tee' },
+    { mediaContentType: 'IMAGE', originalSource: `${SPADE_MEDIA_URL}/back.jpg`, alt: 'Tee' },
+    { mediaContentType: 'VIDEO', originalSource: 'https://cdn.example.com/clip.mp4', alt: 'Tee' }
+  ]);
+});
+
+test('tags every product with the marker tag and its store and manufacturer names', () => {
+  const input = buildProductSetInput({ title: 'Mug', tags: ['summer', 'spade-product'], store: { name: 'Atelier' } }, [], []);
+  assert.deepEqual(input.tags, ['spade-product', 'summer', 'Atelier']);
+});
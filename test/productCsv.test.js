@@ -0,0 +1,100 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COLUMNS, parseCsv, exportProductsCsv, importProductsCsv } = require('../lib/productCsv');
+
+const tee = {
+  id: 9,
+  title: 'Tee',
+  description: '<p>Soft</p>',
+  tags: ['summer'],
+  is_active: false,
+  stock: { 'orange / S': 3, 'blue / S': 1 },
+  attributes: [
+    { name: 'color', values: [{ name: 'orange', price: '12', sku: 'OR' }, { name: 'blue', price: '10', sku: 'BL' }] },
+    { name: 'size', values: [{ name: 'S', sku: 'S' }] }
+  ],
+  media: [
+    { media: 'https://cdn.example.com/tee.jpg', is_featured: true },
+    { media: 'https://cdn.example.com/orange.jpg', attribute: 'color', value: 'orange' }
+  ]
+};
+
+// Header plus one row per entry, each { column: value }
+function csvOf(rows) {
+  const columns = Object.keys(rows[0]);
+  return [columns.join(','), ...rows.map(row => columns.map(column => row[column] || '').join(','))].join('\n') + '\n';
+}
+
+test('parses quoted cells, escaped quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('a,b\n"x, ""y""","multi\nline"\n'), [{ a: 'x, "y"', b: 'multi\nline' }]);
+});
+
+test('exports one row per variant with images spread over them', () => {
+  const { csv, rows, errors } = exportProductsCsv([tee], undefined, 'legacy');
+  const parsed = parseCsv(csv);
+
+  assert.deepEqual(errors, []);
+  assert.equal(rows, 2);
+  assert.deepEqual(Object.keys(parsed[0]), COLUMNS);
+  assert.deepEqual(parsed.map(row => row['Variant SKU']), ['OR-S', 'BL-S']);
+  assert.deepEqual(parsed.map(row => row['Variant Price']), ['12.00', '10.00']);
+  assert.deepEqual(parsed.map(row => row['Variant Inventory Qty']), ['3', '1']);
+  assert.deepEqual(parsed.map(row => row['Image Src']), ['https://cdn.example.com/tee.jpg', 'https://cdn.example.com/orange.jpg']);
+  assert.equal(parsed[0]['Variant Image'], 'https://cdn.example.com/orange.jpg');
+  assert.equal(parsed[0].Status, 'draft');
+});
+
+test('round-trips a product through export and import', () => {
+  const { csv } = exportProductsCsv([tee], undefined, 'legacy');
+  const { products, errors } = importProductsCsv(csv);
+
+  assert.deepEqual(errors, []);
+  assert.equal(products.length, 1);
+  const [product] = products;
+  assert.equal(product.id, '9');
+  assert.equal(product.title, 'Tee');
+  assert.equal(product.description, '<p>Soft</p>');
+  assert.equal(product.status, 'DRAFT');
+  assert.deepEqual(product.tags, ['spade-product', 'summer']);
+  assert.deepEqual(product.stock, { 'orange / S': 3, 'blue / S': 1 });
+  assert.deepEqual(product.explicit_variants.map(v => [v.options, v.price, v.sku]), [
+    [['orange', 'S'], '12.00', 'OR-S'],
+    [['blue', 'S'], '10.00', 'BL-S']
+  ]);
+  assert.deepEqual(product.media.map(m => [m.media, m.attribute, m.value]), [
+    ['https://cdn.example.com/tee.jpg', undefined, undefined],
+    ['https://cdn.example.com/orange.jpg', 'color', 'orange']
+  ]);
+
+  // Exporting the imported product gives back the same sheet
+  assert.equal(exportProductsCsv(products, undefined, 'legacy').csv, csv);
+});
+
+test('keeps an archived status', () => {
+  const { products } = importProductsCsv(csvOf([{ Handle: 'mug', Title: 'Mug', 'Variant Price': '5', Status: 'archived' }]));
+  assert.equal(products[0].status, 'ARCHIVED');
+});
+
+test('reports a missing variant price per handle instead of importing it as free', () => {
+  const { products, errors } = importProductsCsv(csvOf([
+    { Handle: 'mug', Title: 'Mug', 'Option1 Name': 'Size', 'Option1 Value': 'S', 'Variant Price': '5' },
+    { Handle: 'mug', 'Option1 Value': 'L' },
+    { Handle: 'cup', Title: 'Cup' },
+    { Handle: 'bowl', Title: 'Bowl', 'Variant Price': '8' }
+  ]));
+
+  assert.deepEqual(products.map(product => product.title), ['Bowl']);
+  assert.deepEqual(errors.map(error => [error.handle, error.errors]), [
+    ['mug', [{ field: 'mug.Variant Price', message: 'is required for variant "L"' }]],
+    ['cup', [{ field: 'cup.Variant Price', message: 'is required; the product has no variant rows' }]]
+  ]);
+});
+
+test('reports products that cannot be exported and keeps the rest', () => {
+  const { rows, errors } = exportProductsCsv([{ title: '' }, { title: 'Mug', price: '5' }], undefined, 'legacy');
+  assert.equal(rows, 1);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].index, 0);
+  assert.deepEqual(errors[0].errors.map(error => error.field), ['title']);
+});
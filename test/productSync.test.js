@@ -0,0 +1,196 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const productMap = require('../lib/productMap');
+const { upsertProduct, diffMedia, mediaRecords } = require('../lib/productSync');
+
+const shop = 'sync.myshopify.com';
+const options = { accessToken: 'token', format: 'legacy' };
+
+// A stand-in for the Admin API that keeps products in memory and records every productSet input
+function fakeShopify() {
+  const products = {};
+  const productSets = [];
+  let nextId = 1;
+
+  axios.post = async (url, body) => {
+    const { query, variables } = body;
+    let data = {};
+
+    if (/mutation ProductSet/.test(query)) {
+      const input = JSON.parse(JSON.stringify(variables.input));
+      productSets.push(input);
+      const id = input.id || `gid://shopify/Product/${nextId++}`;
+      products[id] = {
+        id,
+        title: input.title,
+        status: input.status || 'ACTIVE',
+        tags: input.tags,
+        variants: {
+          edges: input.variants.map(variant => ({
+            node: {
+              id: variant.id || `gid://shopify/ProductVariant/${nextId++}`,
+              title: variant.optionValues.map(v => v.name).join(' / '),
+              price: variant.price,
+              selectedOptions: variant.optionValues.map(v => ({ name: v.optionName, value: v.name })),
+              inventoryItem: { id: `gid://shopify/InventoryItem/${nextId++}`, tracked: false }
+            }
+          })),
+          pageInfo: { hasNextPage: false, endCursor: null }
+        },
+        media: { nodes: [] }
+      };
+      data = { productSet: { product: products[id], productSetOperation: null, userErrors: [] } };
+    } else if (/query Product\(/.test(query)) {
+      data = { product: products[variables.id] || null };
+    } else {
+      throw new Error(`Unexpected request: ${query}`);
+    }
+
+    return { status: 200, data: { data, extensions: {} } };
+  };
+
+  return { products, productSets };
+}
+
+const tee = (price = '12') => ({
+  id: 42,
+  title: 'Tee',
+  attributes: [
+    { name: 'color', values: [{ name: 'orange', price }, { name: 'blue', price: '10' }] },
+    { name: 'size', values: ['S', 'L'] }
+  ]
+});
+
+test('creates the product the first time and remembers it by Spade id', async () => {
+  const { productSets } = fakeShopify();
+  const result = await upsertProduct(shop, tee(), options);
+
+  assert.equal(result.status, 'created');
+  assert.equal(productSets.length, 1);
+  assert.equal(productSets[0].id, undefined);
+
+  const mapping = productMap.getMapping(shop, 42);
+  assert.equal(mapping.productId, result.product.id);
+  assert.ok(mapping.inputHash);
+});
+
+test('does nothing when the same product is sent again', async () => {
+  const { productSets } = fakeShopify();
+  await upsertProduct(shop, { ...tee(), id: 43 }, options);
+  const result = await upsertProduct(shop, { ...tee(), id: 43 }, options);
+
+  assert.equal(result.status, 'unchanged');
+  assert.equal(productSets.length, 1);
+});
+
+test('updates the same product in place, reusing its variant ids', async () => {
+  const { products, productSets } = fakeShopify();
+  const created = await upsertProduct(shop, { ...tee(), id: 44 }, options);
+  const variantIds = created.product.variants.edges.map(({ node }) => node.id);
+
+  const result = await upsertProduct(shop, { ...tee('15'), id: 44 }, options);
+
+  assert.equal(result.status, 'updated');
+  assert.equal(result.product.id, created.product.id);
+  assert.equal(Object.keys(products).length, 1);
+  assert.equal(productSets[1].id, created.product.id);
+  assert.deepEqual(productSets[1].variants.map(variant => variant.id), variantIds);
+  assert.deepEqual(productSets[1].variants.map(variant => variant.price), ['15.00', '15.00', '10.00', '10.00']);
+});
+
+test('only reuses ids of variants whose options are unchanged', async () => {
+  const { productSets } = fakeShopify();
+  const created = await upsertProduct(shop, { ...tee(), id: 45 }, options);
+  const orangeS = created.product.variants.edges[0].node.id;
+
+  const changed = tee();
+  changed.id = 45;
+  changed.attributes[1].values = ['S', 'XL'];
+  await upsertProduct(shop, changed, options);
+
+  const ids = productSets[1].variants.map(variant => [variant.optionValues.map(v => v.name).join(' / '), variant.id]);
+  assert.deepEqual(ids.filter(([, id]) => id).map(([title]) => title), ['orange / S', 'blue / S']);
+  assert.equal(ids[0][1], orangeS);
+});
+
+test('creates the product again when the mapped one was deleted in Shopify', async () => {
+  const { productSets } = fakeShopify();
+  productMap.saveMapping(shop, 46, { productId: 'gid://shopify/Product/999', inputHash: 'stale', media: [] });
+
+  const result = await upsertProduct(shop, { ...tee(), id: 46 }, options);
+
+  assert.equal(result.status, 'created');
+  assert.equal(productSets[0].id, undefined);
+  assert.equal(productMap.getMapping(shop, 46).productId, result.product.id);
+});
+
+test('requires a Spade id', async () => {
+  fakeShopify();
+  await assert.rejects(upsertProduct(shop, { title: 'No id' }, options), /Product id is required/);
+});
+
+const image = url => ({ mediaContentType: 'IMAGE', originalSource: url });
+const onProduct = ids => ({ media: { nodes: ids.map(id => ({ id })) } });
+
+test('first sync uploads everything', () => {
+  const media = [image('https://a/1.jpg'), image('https://a/2.jpg')];
+  const { kept, removed, newMedia, knownHashes } = diffMedia(media, [], null);
+
+  assert.deepEqual(kept, []);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(newMedia, media);
+  assert.deepEqual(knownHashes, {});
+});
+
+test('keeps attached media, uploads new sources and removes dropped ones', () => {
+  const previous = [
+    { source: 'https://a/1.jpg', mediaId: 'M1', hash: 'h1' },
+    { source: 'https://a/2.jpg', mediaId: 'M2', hash: 'h2' }
+  ];
+  const media = [image('https://a/1.jpg'), image('https://a/3.jpg')];
+  const { kept, removed, newMedia, knownHashes } = diffMedia(media, previous, onProduct(['M1', 'M2']));
+
+  assert.deepEqual(kept, [previous[0]]);
+  assert.deepEqual(removed, [previous[1]]);
+  assert.deepEqual(newMedia, [image('https://a/3.jpg')]);
+  assert.deepEqual(knownHashes, { h1: 'M1' });
+});
+
+test('re-uploads media deleted from the product in the admin', () => {
+  const previous = [{ source: 'https://a/1.jpg', mediaId: 'M1' }];
+  const { kept, removed, newMedia } = diffMedia([image('https://a/1.jpg')], previous, onProduct([]));
+
+  assert.deepEqual(kept, []);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(newMedia, [image('https://a/1.jpg')]);
+});
+
+test('trusts records from before media ids were tracked', () => {
+  const previous = [{ source: 'https://a/1.jpg' }, { source: 'https://a/2.jpg' }];
+  const { kept, removed, newMedia } = diffMedia([image('https://a/1.jpg')], previous, onProduct([]));
+
+  assert.deepEqual(kept, [previous[0]]);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(newMedia, []);
+});
+
+test('does not remove a media item another kept source still uses', () => {
+  const previous = [
+    { source: 'https://a/1.jpg', mediaId: 'M1' },
+    { source: 'https://a/old.jpg', mediaId: 'M1' }
+  ];
+  const { removed } = diffMedia([image('https://a/1.jpg')], previous, onProduct(['M1']));
+  assert.deepEqual(removed, []);
+});
+
+test('records only the uploads that made it onto the product', () => {
+  assert.deepEqual(mediaRecords(null), []);
+  assert.deepEqual(mediaRecords({
+    files: [
+      { source: 'https://a/1.jpg', status: 'submitted', mediaId: 'M1', hash: 'h1' },
+      { source: 'https://a/2.jpg', status: 'failed' }
+    ]
+  }), [{ source: 'https://a/1.jpg', mediaId: 'M1', hash: 'h1' }]);
+});
@@ -0,0 +1,51 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProduct, MAX_TITLE_LENGTH } = require('../lib/productValidation');
+
+const variant = (...options) => ({ options, price: '1.00' });
+const codes = errors => errors.map(error => `${error.field}:${error.code}`);
+
+test('accepts a product within Shopify\'s limits', () => {
+  assert.deepEqual(validateProduct({ title: 'Tee', price: '5' }, ['size'], [variant('S'), variant('L')]), []);
+});
+
+test('reports blank and overlong titles and tags', () => {
+  assert.deepEqual(codes(validateProduct({ title: ' ' }, [], [])), ['title:BLANK']);
+  assert.deepEqual(
+    codes(validateProduct({ title: 'x'.repeat(MAX_TITLE_LENGTH + 1), tags: ['ok', 'y'.repeat(256)] }, [], [])),
+    ['title:TOO_LONG', 'tags[1]:TOO_LONG']
+  );
+});
+
+test('reports prices that aren\'t numbers, on the product, its values and the price table', () => {
+  const product = { title: 'Tee', price: 'ten', attributes: [{ name: 'size', values: [{ name: 'S', surcharge: 'two' }] }] };
+  assert.deepEqual(codes(validateProduct(product, ['size'], [variant('S')], { priceTable: { S: 'x' } })), [
+    'price:INVALID_PRICE',
+    'attributes[0].values[0].surcharge:INVALID_PRICE',
+    'pricing.priceTable.S:INVALID_PRICE'
+  ]);
+});
+
+test('reports too many, duplicate options and duplicate variants', () => {
+  const options = ['a', 'b', 'a', 'c'];
+  const errors = validateProduct({ title: 'Tee' }, options, [variant('1', '2', '3', '4'), variant('1', '2', '3', '4')]);
+  assert.deepEqual(codes(errors), ['attributes:TOO_MANY_OPTIONS', 'attributes:DUPLICATE_OPTION', 'variants:DUPLICATE_VARIANT']);
+});
+
+test('checks translated titles, options and values against the product', () => {
+  const product = {
+    title: 'Tee',
+    translations: {
+      fr: {
+        title: 'T'.repeat(MAX_TITLE_LENGTH + 1),
+        options: { size: { name: 'Taille', values: { S: 'P', XL: 'TG' } }, color: { name: 'Couleur' } }
+      }
+    }
+  };
+  assert.deepEqual(codes(validateProduct(product, ['size'], [variant('S')])), [
+    'translations.fr.title:TOO_LONG',
+    'translations.fr.options.size.values.XL:UNKNOWN_OPTION_VALUE',
+    'translations.fr.options.color:UNKNOWN_OPTION'
+  ]);
+});
@@ -0,0 +1,89 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.SHOPIFY_API_KEY = 'api-key';
+process.env.SHOPIFY_API_SECRET = 'api-secret';
+const { verifySessionToken, requireSessionToken, SessionTokenError } = require('../lib/sessionToken');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+// An App Bridge session token for my-store, with any claims overridden
+function sessionToken(claims = {}, { secret = 'api-secret', alg = 'HS256' } = {}) {
+  const header = encode({ alg, typ: 'JWT' });
+  const payload = encode({
+    iss: 'https://my-store.myshopify.com/admin',
+    dest: 'https://my-store.myshopify.com',
+    aud: 'api-key',
+    sub: '42',
+    exp: now() + 60,
+    nbf: now() - 5,
+    iat: now() - 5,
+    ...claims
+  });
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function rejects(token, message) {
+  assert.throws(() => verifySessionToken(token), error => error instanceof SessionTokenError && message.test(error.message));
+}
+
+test('returns the shop a valid token was issued for', () => {
+  const { shop, payload } = verifySessionToken(sessionToken());
+  assert.equal(shop, 'my-store.myshopify.com');
+  assert.equal(payload.sub, '42');
+});
+
+test('rejects missing, malformed and badly signed tokens', () => {
+  rejects(undefined, /Missing/);
+  rejects('not-a-jwt', /Malformed/);
+  rejects('a.b.c', /Malformed/);
+  rejects(sessionToken({}, { secret: 'other-secret' }), /signature/);
+  rejects(sessionToken({}, { alg: 'none' }), /algorithm/);
+});
+
+test('rejects tokens outside their validity window', () => {
+  rejects(sessionToken({ exp: now() - 60 }), /expired/);
+  rejects(sessionToken({ exp: undefined }), /expired/);
+  rejects(sessionToken({ nbf: now() + 60 }), /not yet valid/);
+});
+
+test('rejects tokens for another app or an invalid shop', () => {
+  rejects(sessionToken({ aud: 'other-app' }), /audience/);
+  rejects(sessionToken({ dest: 'https://other-store.myshopify.com' }), /dest/);
+  rejects(sessionToken({ dest: 'https://evil.com', iss: 'https://evil.com/admin' }), /dest/);
+  rejects(sessionToken({ dest: 'not a url' }), /invalid dest/);
+});
+
+// Runs the middleware and reports whether it called next, and what it responded
+function run(authorization) {
+  const req = { headers: authorization ? { authorization } : {} };
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  requireSessionToken(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('middleware sets req.shop from the bearer token', () => {
+  const { req, nextCalled } = run(`Bearer ${sessionToken()}`);
+  assert.equal(nextCalled, true);
+  assert.equal(req.shop, 'my-store.myshopify.com');
+});
+
+test('middleware answers 401 and asks App Bridge to retry with a fresh token', () => {
+  const { res, nextCalled } = run(`Bearer ${sessionToken({ exp: now() - 60 })}`);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.headers['X-Shopify-Retry-Invalid-Session-Request'], '1');
+  assert.equal(res.body.reauthorize, true);
+
+  assert.equal(run(undefined).res.statusCode, 401);
+});
@@ -0,0 +1,10 @@
+// Required first by every test file: the file stores read DATA_DIR when they're loaded,
+// so point them at a throwaway directory before any lib module is required.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+if (!process.env.DATA_DIR) {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-server-test-'));
+  process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+}
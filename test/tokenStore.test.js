@@ -0,0 +1,58 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+const tokenStore = require('../lib/tokenStore');
+
+const shop = 'tokens.myshopify.com';
+const storeFile = path.join(process.env.DATA_DIR, 'shops.json');
+
+test('round-trips an access token without writing it in the clear', () => {
+  tokenStore.saveToken(shop, 'shpat_secret', 'write_products,read_products');
+
+  assert.equal(tokenStore.getToken(shop), 'shpat_secret');
+  const stored = fs.readFileSync(storeFile, 'utf8');
+  assert.ok(!stored.includes('shpat_secret'));
+  assert.deepEqual(tokenStore.getShop(shop).scopes, ['read_products', 'write_products']);
+});
+
+test('keeps the install date when the token is replaced', () => {
+  tokenStore.saveToken(shop, 'first', 'read_products');
+  const { installedAt } = tokenStore.getShop(shop);
+  tokenStore.saveToken(shop, 'second', 'read_products');
+
+  assert.equal(tokenStore.getToken(shop), 'second');
+  assert.equal(tokenStore.getShop(shop).installedAt, installedAt);
+});
+
+test('refuses a token whose ciphertext was tampered with', () => {
+  tokenStore.saveToken(shop, 'shpat_secret', '');
+  const records = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+  const [iv, tag, encrypted] = records[shop].token.split(':');
+  const flipped = Buffer.from(encrypted, 'base64');
+  flipped[0] ^= 1;
+  records[shop].token = [iv, tag, flipped.toString('base64')].join(':');
+  fs.writeFileSync(storeFile, JSON.stringify(records));
+
+  // A fresh copy of the module reads the edited file
+  delete require.cache[require.resolve('../lib/tokenStore')];
+  delete require.cache[require.resolve('../lib/fileStore')];
+  const reloaded = require('../lib/tokenStore');
+  assert.equal(reloaded.getToken(shop), undefined);
+});
+
+test('forgets a removed shop', () => {
+  tokenStore.saveToken('gone.myshopify.com', 'token', '');
+  assert.equal(tokenStore.removeShop('gone.myshopify.com'), true);
+  assert.equal(tokenStore.getToken('gone.myshopify.com'), undefined);
+  assert.equal(tokenStore.getShop('gone.myshopify.com'), null);
+});
+
+test('normalizes scopes from either a string or a list', () => {
+  assert.deepEqual(tokenStore.parseScopes(' b, a ,a,'), ['a', 'b']);
+  assert.deepEqual(tokenStore.parseScopes(['b', 'a']), ['a', 'b']);
+  assert.deepEqual(tokenStore.parseScopes(undefined), []);
+});
@@ -0,0 +1,20 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRegisteredTopics } = require('../lib/webhooks');
+const { getConfiguredTopics } = require('../lib/webhookSubscriptions');
+require('../routers/webhooks');
+
+// APP_UNINSTALLED -> app/uninstalled, BULK_OPERATIONS_FINISH -> bulk_operations/finish
+const headerTopic = topic => topic.toLowerCase().replace(/_([^_]+)$/, '/$1');
+
+test('subscribes by default only to topics that have a handler', () => {
+  const handled = getRegisteredTopics();
+  assert.deepEqual(getConfiguredTopics().map(headerTopic).filter(topic => !handled.includes(topic)), []);
+});
+
+test('takes the topics from SHOPIFY_WEBHOOK_TOPICS when set', t => {
+  t.after(() => delete process.env.SHOPIFY_WEBHOOK_TOPICS);
+  process.env.SHOPIFY_WEBHOOK_TOPICS = 'app_uninstalled, PRODUCTS_UPDATE,APP_UNINSTALLED';
+  assert.deepEqual(getConfiguredTopics(), ['APP_UNINSTALLED', 'PRODUCTS_UPDATE']);
+});
@@ -0,0 +1,64 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.SHOPIFY_API_SECRET = 'api-secret';
+const {
+  registerWebhookHandler,
+  getRegisteredTopics,
+  verifyWebhookHMAC,
+  isDuplicate,
+  markProcessed,
+  dispatchWebhook
+} = require('../lib/webhooks');
+
+const body = Buffer.from(JSON.stringify({ id: 1, title: 'Tee' }));
+const sign = (bytes, secret = 'api-secret') => crypto.createHmac('sha256', secret).update(bytes).digest('base64');
+
+test('verifies the HMAC over the raw body bytes', () => {
+  assert.equal(verifyWebhookHMAC(body, sign(body)), true);
+  assert.equal(verifyWebhookHMAC(body, sign(body, 'other-secret')), false);
+  assert.equal(verifyWebhookHMAC(Buffer.from(`${body} `), sign(body)), false);
+});
+
+test('rejects a parsed body or a missing header', () => {
+  assert.equal(verifyWebhookHMAC(JSON.parse(body), sign(body)), false);
+  assert.equal(verifyWebhookHMAC(body.toString(), sign(body)), false);
+  assert.equal(verifyWebhookHMAC(body, undefined), false);
+});
+
+test('remembers processed deliveries so retries are ignored', () => {
+  assert.equal(isDuplicate('delivery-1'), false);
+  markProcessed('delivery-1');
+  assert.equal(isDuplicate('delivery-1'), true);
+  assert.equal(isDuplicate('delivery-2'), false);
+  assert.equal(isDuplicate(undefined), false);
+});
+
+test('forgets deliveries older than two days', t => {
+  markProcessed('old-delivery');
+  t.mock.method(Date, 'now', () => new Date().getTime() + 49 * 60 * 60 * 1000);
+  markProcessed('new-delivery');
+
+  assert.equal(isDuplicate('old-delivery'), false);
+  assert.equal(isDuplicate('new-delivery'), true);
+});
+
+test('dispatches to every handler of a topic, whatever its case', async () => {
+  const seen = [];
+  registerWebhookHandler('products/update', async ({ shop }) => seen.push(`first ${shop}`));
+  registerWebhookHandler('PRODUCTS/UPDATE', ({ shop }) => seen.push(`second ${shop}`));
+
+  const handled = await dispatchWebhook({ topic: 'Products/Update', shop: 'my-store.myshopify.com', payload: {} });
+
+  assert.equal(handled, 2);
+  assert.deepEqual(seen, ['first my-store.myshopify.com', 'second my-store.myshopify.com']);
+  assert.deepEqual(getRegisteredTopics(), ['products/update']);
+  assert.equal(await dispatchWebhook({ topic: 'orders/create', payload: {} }), 0);
+});
+
+test('lets a failing handler fail the delivery so Shopify retries it', async () => {
+  registerWebhookHandler('app/uninstalled', async () => { throw new Error('boom'); });
+  await assert.rejects(dispatchWebhook({ topic: 'app/uninstalled', payload: {} }), /boom/);
+});